@@ -0,0 +1,584 @@
+#!/usr/bin/env node
+/**
+ * Agent Registry - Canonical agent names and the who-talks-to-whom graph
+ * For JARVIS multi-agent system
+ *
+ * Agents are registered in the config file under agents.registry (see
+ * config.js), or from code with registerAgent():
+ *
+ *   "agents": {
+ *     "validation": "warn",                                 // JARVIS_AGENT_VALIDATION: off | warn | strict
+ *     "registry": [
+ *       { "id": "agent-01-infrastructure", "category": "01", "owner": "platform-team",
+ *         "capabilities": ["terraform", "vault"], "aliases": ["infra-agent"] }
+ *     ]
+ *   }
+ *
+ * logAgentMessage() and logMCPToolCall() pass agent names through
+ * canonicalAgentName(): aliases and spelling variants ("Agent_01_Infrastructure")
+ * are logged under the canonical id, so one agent's stats are not split.
+ * Unknown names are logged as they are with a warning (once per name) that
+ * suggests the closest registered id; with validation "strict" the loggers
+ * throw UnknownAgentError and log nothing. Without registered agents nothing
+ * is checked. A registry in the config that cannot be loaded (invalid id,
+ * alias used twice) is rejected as a whole with a warning, so logging goes
+ * on unchecked instead of failing.
+ *
+ * getAgentTopology() builds a weighted graph from agent_communications (and
+ * optionally the MCP servers each agent calls), exported with topologyToDot()
+ * and topologyToJson().
+ *
+ * Usage:
+ *   node agent-registry.js list
+ *   node agent-registry.js audit [--since 2025-01-01]     # logged names that are not canonical
+ *   node agent-registry.js topology [--since ...] [--format dot|json] [--tools] > agents.dot
+ *
+ *   const { registerAgent, getAgentTopology, topologyToDot } = require('./agent-registry');
+ *   registerAgent({ id: 'agent-08-database', owner: 'data-team', capabilities: ['postgres'] });
+ *   const dot = topologyToDot(await getAgentTopology({ since: '2025-01-01' }));
+ */
+
+const { parseArgs } = require('util');
+const { getConfig, AGENT_ID_PATTERN } = require('./config');
+const { getStorage } = require('./storage');
+const { oneOf, timeWindow } = require('./storage/filters');
+
+// Senders that are not agents (the user, the target of logAgentError(), the SLA
+// sweeper in message-sla.js), and the loggers' placeholder for a missing name
+const RESERVED_AGENT_NAMES = ['user', 'unknown', 'system', 'sla-sweeper'];
+
+const TOPOLOGY_FORMAT = 'jarvis-agent-topology';
+const TOPOLOGY_VERSION = 1;
+
+class UnknownAgentError extends Error {
+  constructor(name, suggestion = null) {
+    super(`Unknown agent "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+    this.name = 'UnknownAgentError';
+    this.agentName = name;
+    this.suggestion = suggestion;
+  }
+}
+
+const agents = new Map();
+const lookup = new Map();
+const warnedNames = new Set();
+let loaded = false;
+
+/**
+ * Lower-case, kebab-case form of a name ("Agent_01 Infra" -> "agent-01-infra")
+ *
+ * @param {string} name - Agent name
+ * @returns {string}
+ */
+function normalizeAgentName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_.]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function addAgent(registry, { id, category = null, owner = null, capabilities = [], aliases = [] }) {
+  if (typeof id !== 'string' || !AGENT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid agent id "${id}" (expected lower kebab-case, e.g. agent-01-infrastructure)`);
+  }
+
+  const keys = [id, ...aliases].map(normalizeAgentName);
+  keys.forEach(key => {
+    if (RESERVED_AGENT_NAMES.includes(key)) {
+      throw new Error(`Agent name "${key}" is reserved`);
+    }
+    const existing = registry.lookup.get(key);
+    if (existing && existing !== id) {
+      throw new Error(`Agent name "${key}" is already used by ${existing}`);
+    }
+  });
+
+  const derivedCategory = /^agent-(\d+)-/.exec(id);
+  const agent = {
+    id,
+    category: category || (derivedCategory ? derivedCategory[1] : null),
+    owner,
+    capabilities: [...capabilities],
+    aliases: [...aliases]
+  };
+  registry.agents.set(id, agent);
+  keys.forEach(key => registry.lookup.set(key, id));
+  return agent;
+}
+
+// Registers every agent of a list into new maps, or throws on the first bad one
+function buildRegistry(list) {
+  const registry = { agents: new Map(), lookup: new Map() };
+  list.forEach(agent => addAgent(registry, agent));
+  return registry;
+}
+
+function useRegistry(registry) {
+  agents.clear();
+  lookup.clear();
+  warnedNames.clear();
+  registry.agents.forEach((agent, id) => agents.set(id, agent));
+  registry.lookup.forEach((id, key) => lookup.set(key, id));
+}
+
+function ensureLoaded() {
+  if (!loaded) {
+    loaded = true;
+    try {
+      useRegistry(buildRegistry(getConfig().agents.registry));
+    } catch (err) {
+      console.warn('Agent Registry warning: agents.registry not loaded, agent names are not checked:', err.message);
+    }
+  }
+}
+
+/**
+ * Register an agent (replaces an agent with the same id)
+ *
+ * @param {object} agent
+ * @param {string} agent.id - Canonical id, lower kebab-case (e.g. 'agent-01-infrastructure')
+ * @param {string} agent.category - Category (default: the NN of 'agent-NN-...')
+ * @param {string} agent.owner - Owning team or person (optional)
+ * @param {array} agent.capabilities - What the agent does (optional)
+ * @param {array} agent.aliases - Other names it is logged under (optional)
+ * @returns {object} The registered agent
+ */
+function registerAgent(agent) {
+  ensureLoaded();
+  return addAgent({ agents, lookup }, agent);
+}
+
+/**
+ * Replace the registry with a list of agents (default: agents.registry from the config).
+ * If any agent is invalid it throws and the current registry stays as it is.
+ *
+ * @param {array} list - Agents, see registerAgent()
+ */
+function loadAgentRegistry(list = getConfig().agents.registry) {
+  const registry = buildRegistry(list);
+  loaded = true;
+  useRegistry(registry);
+}
+
+/**
+ * All registered agents, sorted by id
+ *
+ * @returns {array} Agents
+ */
+function listAgents() {
+  ensureLoaded();
+  return [...agents.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Registered agent by canonical id
+ *
+ * @param {string} id - Agent id
+ * @returns {object|null} Agent
+ */
+function getAgent(id) {
+  ensureLoaded();
+  return agents.get(id) || null;
+}
+
+/**
+ * Match a name against the registry
+ *
+ * @param {string} name - Agent name as logged
+ * @returns {object} { id, agent, match: 'exact'|'alias'|'unknown', suggestion }
+ *   id is the canonical id (or the name itself when unknown); suggestion is the
+ *   closest registered id for unknown names, if any is close enough
+ */
+function resolveAgent(name) {
+  ensureLoaded();
+  if (agents.has(name)) {
+    return { id: name, agent: agents.get(name), match: 'exact', suggestion: null };
+  }
+
+  const id = lookup.get(normalizeAgentName(name));
+  if (id) {
+    return { id, agent: agents.get(id), match: 'alias', suggestion: null };
+  }
+
+  // Closest id or alias, within a few typos
+  const normalized = normalizeAgentName(name);
+  let suggestion = null;
+  let best = Math.max(2, Math.floor(normalized.length / 6)) + 1;
+  lookup.forEach((candidate, key) => {
+    const distance = editDistance(normalized, key);
+    if (distance < best) {
+      best = distance;
+      suggestion = candidate;
+    }
+  });
+
+  return { id: name, agent: null, match: 'unknown', suggestion };
+}
+
+/**
+ * Canonical id to log an agent under. Aliases and spelling variants map to
+ * the registered id; unknown names are kept with a warning, or rejected in
+ * strict mode.
+ *
+ * @param {string} name - Agent name passed to a logger
+ * @param {object} options
+ * @param {string} options.validation - 'off', 'warn' or 'strict' (default: agents.validation)
+ * @returns {string} Canonical id
+ */
+function canonicalAgentName(name, { validation = getConfig().agents.validation } = {}) {
+  ensureLoaded();
+  if (validation === 'off' || agents.size === 0 || typeof name !== 'string' || RESERVED_AGENT_NAMES.includes(name)) {
+    return name;
+  }
+
+  const { id, match, suggestion } = resolveAgent(name);
+  if (match !== 'unknown') {
+    return id;
+  }
+  if (validation === 'strict') {
+    throw new UnknownAgentError(name, suggestion);
+  }
+  if (!warnedNames.has(name)) {
+    warnedNames.add(name);
+    console.warn('Agent Registry warning:', new UnknownAgentError(name, suggestion).message);
+  }
+  return name;
+}
+
+// Topology
+
+function addNode(nodes, id, kind) {
+  if (!nodes.has(id)) {
+    if (kind === 'agent' && RESERVED_AGENT_NAMES.includes(id)) {
+      kind = 'external';
+    }
+    const agent = kind === 'agent' ? resolveAgent(id).agent : null;
+    nodes.set(id, {
+      id,
+      kind,
+      known: kind === 'agent' ? Boolean(agent) : true,
+      category: agent ? agent.category : null,
+      owner: agent ? agent.owner : null,
+      capabilities: agent ? agent.capabilities : [],
+      sent: 0,
+      received: 0
+    });
+  }
+  return nodes.get(id);
+}
+
+function addEdge(edges, from, to, kind, stats) {
+  const key = `${kind}\u0000${from}\u0000${to}`;
+  const edge = edges.get(key) || { from, to, kind, weight: 0, errors: 0, totalDurationMs: 0, timedCount: 0, lastSeen: null };
+  edge.weight += stats.count;
+  edge.errors += stats.errors;
+  if (stats.avgMs !== null && stats.avgMs !== undefined) {
+    edge.totalDurationMs += Number(stats.avgMs) * stats.timed;
+    edge.timedCount += stats.timed;
+  }
+  if (stats.lastSeen && (!edge.lastSeen || stats.lastSeen > edge.lastSeen)) {
+    edge.lastSeen = stats.lastSeen;
+  }
+  edges.set(key, edge);
+}
+
+/**
+ * Weighted graph of which agents message which (and, with includeTools,
+ * which MCP servers they call). Names are merged under their canonical id.
+ *
+ * @param {object} options
+ * @param {string|Date} options.since - Messages at or after (optional)
+ * @param {string|Date} options.until - Messages before (optional)
+ * @param {string|array} options.messageType - Only these message types (optional)
+ * @param {boolean} options.includeTools - Add MCP server nodes and agent -> server edges
+ * @returns {object|null} { generatedAt, since, until, nodes, edges }, or null on failure
+ *   nodes: [{ id, kind: 'agent'|'external'|'mcp_server', known, category, owner, capabilities, sent, received }]
+ *   edges: [{ from, to, kind: 'message'|'tool_call', weight, errors, errorRate, avgDurationMs, lastSeen }]
+ */
+async function getAgentTopology({ since = null, until = null, messageType = null, includeTools = false } = {}) {
+  const storage = getStorage();
+  const where = [...timeWindow('timestamp', { since, until })];
+  if (messageType !== null) {
+    where.push(oneOf('message_type', Array.isArray(messageType) ? messageType : [messageType]));
+  }
+  const metrics = {
+    count: { fn: 'count' },
+    errors: { fn: 'count', where: [oneOf('status', ['error', 'timeout'])] },
+    timed: { fn: 'count', column: 'duration_ms' },
+    avg_ms: { fn: 'avg', column: 'duration_ms' },
+    last_seen: { fn: 'max', column: 'timestamp' }
+  };
+
+  const queries = [storage.aggregate('agent_communications', { where, groupBy: ['source_agent', 'target_agent'], metrics })];
+  if (includeTools) {
+    queries.push(storage.aggregate('mcp_tool_calls', {
+      where: [...timeWindow('timestamp', { since, until })],
+      groupBy: ['requesting_agent', 'mcp_server'],
+      metrics: {
+        count: { fn: 'count' },
+        errors: { fn: 'count', where: [oneOf('status', ['error'])] },
+        timed: { fn: 'count', column: 'execution_time_ms' },
+        avg_ms: { fn: 'avg', column: 'execution_time_ms' },
+        last_seen: { fn: 'max', column: 'timestamp' }
+      }
+    }));
+  }
+
+  const [messages, calls] = await Promise.all(queries);
+  const failed = [messages, calls].find(result => result && result.error);
+  if (failed) {
+    console.error('Error building agent topology:', failed.error.message);
+    return null;
+  }
+
+  const nodes = new Map();
+  const edges = new Map();
+  const statsOf = row => ({
+    count: Number(row.count),
+    errors: Number(row.errors),
+    timed: Number(row.timed),
+    avgMs: row.avg_ms,
+    lastSeen: row.last_seen
+  });
+
+  messages.data.forEach(row => {
+    const from = resolveAgent(row.source_agent).id;
+    const to = resolveAgent(row.target_agent).id;
+    const stats = statsOf(row);
+    addNode(nodes, from, 'agent').sent += stats.count;
+    addNode(nodes, to, 'agent').received += stats.count;
+    addEdge(edges, from, to, 'message', stats);
+  });
+
+  (calls ? calls.data : []).forEach(row => {
+    const from = resolveAgent(row.requesting_agent).id;
+    const stats = statsOf(row);
+    addNode(nodes, from, 'agent');
+    addNode(nodes, `mcp:${row.mcp_server}`, 'mcp_server').received += stats.count;
+    addEdge(edges, from, `mcp:${row.mcp_server}`, 'tool_call', stats);
+  });
+
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+  return {
+    generatedAt: new Date().toISOString(),
+    since: toIso(since),
+    until: toIso(until),
+    nodes: [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+    edges: [...edges.values()]
+      .map(({ totalDurationMs, timedCount, ...edge }) => ({
+        ...edge,
+        errorRate: edge.weight > 0 ? edge.errors / edge.weight : 0,
+        avgDurationMs: timedCount > 0 ? Math.round(totalDurationMs / timedCount) : null
+      }))
+      .sort((a, b) => b.weight - a.weight || a.from.localeCompare(b.from) || a.to.localeCompare(b.to))
+  };
+}
+
+function dotId(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Render a topology as Graphviz DOT: agents clustered by category, edge width
+ * by message count, red edges above a 10% error rate, dashed unregistered agents
+ *
+ * @param {object} graph - From getAgentTopology()
+ * @param {object} options - { title }
+ * @returns {string} DOT source
+ */
+function topologyToDot(graph, { title = 'JARVIS agents' } = {}) {
+  const maxWeight = Math.max(1, ...graph.edges.map(edge => edge.weight));
+  const lines = [
+    `digraph ${dotId(title)} {`,
+    `  label=${dotId(title)};`,
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+
+  const nodeLine = node => {
+    const attributes = [`label=${dotId(node.owner ? `${node.id}\n${node.owner}` : node.id)}`];
+    if (node.kind === 'mcp_server') {
+      attributes.push('shape=cylinder');
+    } else if (node.kind === 'external') {
+      attributes.push('shape=ellipse');
+    } else if (!node.known) {
+      attributes.push('style="rounded,dashed"', 'color=gray40');
+    }
+    return `${dotId(node.id)} [${attributes.join(', ')}];`;
+  };
+
+  const byCategory = new Map();
+  graph.nodes.forEach(node => {
+    const key = node.category || '';
+    byCategory.set(key, [...(byCategory.get(key) || []), node]);
+  });
+  byCategory.forEach((members, category) => {
+    if (!category) {
+      members.forEach(node => lines.push(`  ${nodeLine(node)}`));
+      return;
+    }
+    lines.push(`  subgraph ${dotId(`cluster_${category}`)} {`, `    label=${dotId(`Category ${category}`)};`);
+    members.forEach(node => lines.push(`    ${nodeLine(node)}`));
+    lines.push('  }');
+  });
+
+  graph.edges.forEach(edge => {
+    const attributes = [
+      `label=${dotId(edge.weight)}`,
+      `penwidth=${(1 + 4 * edge.weight / maxWeight).toFixed(1)}`
+    ];
+    if (edge.kind === 'tool_call') {
+      attributes.push('style=dashed');
+    }
+    if (edge.errorRate > 0.1) {
+      attributes.push('color=red', 'fontcolor=red');
+    }
+    lines.push(`  ${dotId(edge.from)} -> ${dotId(edge.to)} [${attributes.join(', ')}];`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a topology as a versioned JSON document
+ *
+ * @param {object} graph - From getAgentTopology()
+ * @returns {string} JSON
+ */
+function topologyToJson(graph) {
+  return `${JSON.stringify({ format: TOPOLOGY_FORMAT, version: TOPOLOGY_VERSION, ...graph }, null, 2)}\n`;
+}
+
+/**
+ * Agent names in the logs that are not canonical ids, with what they resolve to
+ *
+ * @param {object} options - { since, until }
+ * @returns {array} [{ name, rows, match: 'alias'|'unknown', id, suggestion }], most rows first
+ */
+async function auditAgentNames({ since = null, until = null } = {}) {
+  const storage = getStorage();
+  const where = [...timeWindow('timestamp', { since, until })];
+  const count = { rows: { fn: 'count' } };
+  const results = await Promise.all([
+    storage.aggregate('agent_communications', { where, groupBy: ['source_agent'], metrics: count }),
+    storage.aggregate('agent_communications', { where, groupBy: ['target_agent'], metrics: count }),
+    storage.aggregate('mcp_tool_calls', { where, groupBy: ['requesting_agent'], metrics: count })
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('Error auditing agent names:', failed.error.message);
+    return [];
+  }
+
+  const rowsByName = new Map();
+  results.forEach(({ data }, index) => {
+    const column = ['source_agent', 'target_agent', 'requesting_agent'][index];
+    data.forEach(row => {
+      rowsByName.set(row[column], (rowsByName.get(row[column]) || 0) + Number(row.rows));
+    });
+  });
+
+  return [...rowsByName.entries()]
+    .filter(([name]) => name !== null && !RESERVED_AGENT_NAMES.includes(name))
+    .map(([name, rows]) => ({ name, rows, ...resolveAgent(name) }))
+    .filter(entry => entry.match !== 'exact')
+    .map(({ agent, ...entry }) => entry)
+    .sort((a, b) => b.rows - a.rows);
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      format: { type: 'string', default: 'dot' },
+      tools: { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  const [command] = positionals;
+
+  if (!['list', 'audit', 'topology'].includes(command) || !['dot', 'json'].includes(options.format)) {
+    console.error('Usage: agent-registry.js list');
+    console.error('       agent-registry.js audit [--since ISO] [--until ISO]');
+    console.error('       agent-registry.js topology [--since ISO] [--until ISO] [--format dot|json] [--tools]');
+    return 2;
+  }
+
+  const registered = listAgents();
+  if (registered.length === 0 && command !== 'topology') {
+    console.log('No agents registered (agents.registry in the config file)');
+    return 0;
+  }
+
+  if (command === 'list') {
+    registered.forEach(agent => {
+      console.log([agent.id, agent.category || '-', agent.owner || '-', agent.capabilities.join(',') || '-'].join('\t'));
+    });
+    return 0;
+  }
+
+  try {
+    if (command === 'audit') {
+      const entries = await auditAgentNames({ since: options.since, until: options.until });
+      entries.forEach(entry => {
+        const target = entry.match === 'alias'
+          ? `alias of ${entry.id}`
+          : `unknown${entry.suggestion ? `, did you mean ${entry.suggestion}?` : ''}`;
+        console.log(`${entry.name}\t${entry.rows} row(s)\t${target}`);
+      });
+      if (entries.length === 0) {
+        console.log('All logged agent names are canonical');
+      }
+      return 0;
+    }
+
+    const graph = await getAgentTopology({ since: options.since, until: options.until, includeTools: options.tools });
+    if (!graph) {
+      return 1;
+    }
+    process.stdout.write(options.format === 'json' ? topologyToJson(graph) : topologyToDot(graph));
+    return 0;
+  } finally {
+    await getStorage().close();
+  }
+}
+
+module.exports = {
+  TOPOLOGY_VERSION,
+  UnknownAgentError,
+  normalizeAgentName,
+  registerAgent,
+  loadAgentRegistry,
+  listAgents,
+  getAgent,
+  resolveAgent,
+  canonicalAgentName,
+  getAgentTopology,
+  topologyToDot,
+  topologyToJson,
+  auditAgentNames
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,545 @@
+/**
+ * Config - Settings and secrets for the JARVIS loggers
+ * For JARVIS multi-agent system
+ *
+ * Every module reads its settings from getConfig() instead of process.env or
+ * hard-coded values. Settings are resolved in this order (later wins):
+ *   1. built-in defaults
+ *   2. a JSON config file - JARVIS_CONFIG, or ./jarvis.config.json if present
+ *   3. environment variables (see ENV_VARS)
+ *
+ * Any string value may be a secret reference, "<scheme>:<ref>", resolved by
+ * initConfig() through a pluggable resolver:
+ *   vault:secret/category-08/jarvis-00#SUPABASE_KEY  - Vault KV v2 (VAULT_ADDR / VAULT_TOKEN)
+ *   file:/run/secrets/supabase_key                   - contents of a file
+ * Setting vault.path (JARVIS_VAULT_PATH) reads the Supabase URL and key from
+ * that path unless they are configured otherwise.
+ *
+ * The config is validated when it is first loaded. In production
+ * (NODE_ENV=production) problems throw a ConfigError; elsewhere they are
+ * printed as warnings.
+ *
+ * Usage:
+ *   const { initConfig, getConfig, registerSecretResolver } = require('./config');
+ *
+ *   registerSecretResolver('aws-sm', async ref => fetchSecret(ref));   // optional
+ *   await initConfig();                 // resolve secret references once at startup
+ *   const { supabase } = getConfig();   // { url, key }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_TYPES = ['supabase', 'sqlite', 'memory'];
+const AGENT_VALIDATION_MODES = ['off', 'warn', 'strict'];
+const OTEL_EXPORT_MODES = ['off', 'on', 'only'];
+
+// Canonical agent ids, lower kebab-case (see agent-registry.js)
+const AGENT_ID_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+
+const DEFAULTS = {
+  environment: 'development',
+  storage: {
+    type: 'supabase',
+    sqlitePath: 'jarvis-logs.sqlite'
+  },
+  // Write path settings, see log-writer.js and log-spool.js
+  log: {
+    buffer: false,
+    batchSize: null,
+    flushMs: null,
+    // 'on': export as well as storage, 'only': export instead of storage (otel-exporter.js)
+    otel: 'off',
+    spool: true,
+    spoolPath: null
+  },
+  supabase: {
+    url: null,
+    key: null,
+    // Only for db-admin.js; never used for logging
+    serviceKey: null
+  },
+  vault: {
+    addr: null,
+    token: null,
+    path: null
+  },
+  loki: {
+    url: null,
+    tenantId: null,
+    username: null,
+    password: null,
+    labels: {}
+  },
+  otel: {
+    endpoint: 'http://localhost:4318',
+    headers: {},
+    serviceName: 'jarvis-agents'
+  },
+  // Rules are set in the config file, see log-retention.js
+  retention: {
+    rules: [],
+    archiveDir: null
+  },
+  // Response deadlines for requests and delegations, see message-sla.js
+  sla: {
+    defaultMs: null,
+    byAgent: {},
+    byType: {}
+  },
+  // Known agents and how strictly logged names are checked, see agent-registry.js
+  agents: {
+    validation: 'warn',
+    registry: []
+  }
+};
+
+// Setting path -> environment variable(s), first one set wins
+const ENV_VARS = {
+  environment: ['JARVIS_ENV', 'NODE_ENV'],
+  'storage.type': ['JARVIS_LOG_STORAGE'],
+  'storage.sqlitePath': ['JARVIS_LOG_SQLITE_PATH'],
+  'log.buffer': ['JARVIS_LOG_BUFFER'],
+  'log.batchSize': ['JARVIS_LOG_BATCH_SIZE'],
+  'log.flushMs': ['JARVIS_LOG_FLUSH_MS'],
+  'log.otel': ['JARVIS_LOG_OTEL'],
+  'log.spool': ['JARVIS_LOG_SPOOL'],
+  'log.spoolPath': ['JARVIS_LOG_SPOOL_PATH'],
+  'supabase.url': ['SUPABASE_URL'],
+  'supabase.key': ['SUPABASE_KEY'],
+  'supabase.serviceKey': ['SUPABASE_SERVICE_ROLE_KEY'],
+  'vault.addr': ['VAULT_ADDR'],
+  'vault.token': ['VAULT_TOKEN'],
+  'vault.path': ['JARVIS_VAULT_PATH'],
+  'loki.url': ['LOKI_URL'],
+  'loki.tenantId': ['LOKI_TENANT_ID'],
+  'loki.username': ['LOKI_USERNAME'],
+  'loki.password': ['LOKI_PASSWORD'],
+  'loki.labels': ['LOKI_LABELS'],
+  'otel.endpoint': ['OTEL_EXPORTER_OTLP_ENDPOINT'],
+  'otel.headers': ['OTEL_EXPORTER_OTLP_HEADERS'],
+  'otel.serviceName': ['OTEL_SERVICE_NAME'],
+  'retention.archiveDir': ['JARVIS_RETENTION_ARCHIVE_DIR'],
+  'sla.defaultMs': ['JARVIS_SLA_DEFAULT_MS'],
+  'agents.validation': ['JARVIS_AGENT_VALIDATION']
+};
+
+// Settings given as "k=v,k2=v2" in the environment
+const PAIR_LISTS = ['loki.labels', 'otel.headers'];
+
+// Settings given as "1"/"true"/"yes" or "0"/"false"/"no" in the environment
+const FLAGS = ['log.buffer', 'log.spool'];
+
+// Settings given as numbers in the environment
+const NUMBERS = ['log.batchSize', 'log.flushMs'];
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const resolvers = new Map();
+let current = null;
+
+function parsePairs(value) {
+  if (value && typeof value === 'object') {
+    return { ...value };
+  }
+  const pairs = {};
+  String(value || '').split(',').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      pairs[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  });
+  return pairs;
+}
+
+function parseFlag(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(text)) {
+    return true;
+  }
+  return ['0', 'false', 'no', 'off'].includes(text) ? false : value;
+}
+
+function parseNumber(value) {
+  if (value === null || typeof value === 'number') {
+    return value;
+  }
+  const number = Number(value);
+  return value !== '' && Number.isFinite(number) ? number : value;
+}
+
+// JARVIS_LOG_OTEL=1 means 'on'; 'only' and 'off' are taken as they are
+function parseOtelMode(value) {
+  const flag = parseFlag(value);
+  if (typeof flag === 'boolean') {
+    return flag ? 'on' : 'off';
+  }
+  return value === null ? 'off' : value;
+}
+
+function setPath(object, dotted, value) {
+  const parts = dotted.split('.');
+  let target = object;
+  parts.slice(0, -1).forEach(part => {
+    if (!target[part] || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function merge(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    const isSection = value && typeof value === 'object' && !Array.isArray(value) &&
+      base[key] && typeof base[key] === 'object';
+    result[key] = isSection ? merge(base[key], value) : value;
+  });
+  return result;
+}
+
+function defaults() {
+  return JSON.parse(JSON.stringify(DEFAULTS));
+}
+
+function readConfigFile(filename, explicit) {
+  if (!fs.existsSync(filename)) {
+    if (explicit) {
+      throw new ConfigError([`config file not found: ${filename}`]);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filename, 'utf8'));
+  } catch (err) {
+    throw new ConfigError([`cannot read config file ${filename}: ${err.message}`]);
+  }
+}
+
+/**
+ * Load settings from defaults, the config file and the environment.
+ * Secret references are left as they are (see resolveSecrets).
+ *
+ * @param {object} options
+ * @param {object} options.env - Environment (default: process.env)
+ * @param {string} options.file - Config file (default: JARVIS_CONFIG or ./jarvis.config.json)
+ * @returns {object} Config
+ */
+function loadConfig({ env = process.env, file = env.JARVIS_CONFIG } = {}) {
+  const filename = file || path.join(process.cwd(), 'jarvis.config.json');
+  let config = merge(defaults(), readConfigFile(filename, Boolean(file)));
+
+  const fromEnv = {};
+  Object.entries(ENV_VARS).forEach(([setting, names]) => {
+    const name = names.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+    if (name) {
+      setPath(fromEnv, setting, env[name]);
+    }
+  });
+  config = merge(config, fromEnv);
+
+  PAIR_LISTS.forEach(setting => {
+    const [section, key] = setting.split('.');
+    config[section][key] = parsePairs(config[section][key]);
+  });
+  FLAGS.forEach(setting => {
+    const [section, key] = setting.split('.');
+    config[section][key] = parseFlag(config[section][key]);
+  });
+  NUMBERS.forEach(setting => {
+    const [section, key] = setting.split('.');
+    config[section][key] = parseNumber(config[section][key]);
+  });
+  config.log.otel = parseOtelMode(config.log.otel);
+
+  if (config.vault.path) {
+    config.supabase.url = config.supabase.url || `vault:${config.vault.path}#SUPABASE_URL`;
+    config.supabase.key = config.supabase.key || `vault:${config.vault.path}#SUPABASE_KEY`;
+  }
+
+  return config;
+}
+
+/**
+ * Register a resolver for "<scheme>:<ref>" secret references
+ *
+ * @param {string} scheme - Reference prefix, e.g. 'vault'
+ * @param {function} resolve - async (ref, config) => secret value
+ */
+function registerSecretResolver(scheme, resolve) {
+  if (!/^[a-z][a-z0-9-]*$/.test(scheme)) {
+    throw new Error(`Invalid secret resolver scheme: ${scheme}`);
+  }
+  resolvers.set(scheme, resolve);
+}
+
+/**
+ * Tell whether a value is a secret reference that still has to be resolved
+ *
+ * @param {*} value - Setting value
+ * @returns {boolean}
+ */
+function isSecretReference(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const index = value.indexOf(':');
+  return index > 0 && resolvers.has(value.slice(0, index));
+}
+
+/**
+ * Throw if a setting is still an unresolved secret reference
+ *
+ * @param {*} value - Setting value
+ * @param {string} name - Setting name, for the error message
+ * @returns {*} The value
+ */
+function assertResolved(value, name) {
+  if (isSecretReference(value)) {
+    throw new ConfigError([`${name} is a secret reference (${value.split(':')[0]}:...) - call initConfig() first`]);
+  }
+  return value;
+}
+
+/**
+ * Resolve every secret reference in a config
+ *
+ * @param {object} config - Config from loadConfig()
+ * @returns {object} Copy of the config with references replaced by their values
+ */
+async function resolveSecrets(config) {
+  const cache = new Map();
+
+  async function resolveValue(value) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(resolveValue));
+    }
+    if (value && typeof value === 'object') {
+      const entries = await Promise.all(Object.entries(value).map(async ([key, nested]) => [key, await resolveValue(nested)]));
+      return Object.fromEntries(entries);
+    }
+    if (!isSecretReference(value)) {
+      return value;
+    }
+    if (!cache.has(value)) {
+      const index = value.indexOf(':');
+      cache.set(value, Promise.resolve(resolvers.get(value.slice(0, index))(value.slice(index + 1), config)));
+    }
+    return cache.get(value);
+  }
+
+  return resolveValue(config);
+}
+
+/**
+ * Check a config for problems
+ *
+ * @param {object} config - Config
+ * @returns {array} Problems (empty when the config is usable)
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  if (!STORAGE_TYPES.includes(config.storage.type)) {
+    errors.push(`storage.type must be one of ${STORAGE_TYPES.join(', ')} (got "${config.storage.type}")`);
+  }
+
+  if (config.storage.type === 'supabase') {
+    if (!config.supabase.url) {
+      errors.push('supabase.url is not set (SUPABASE_URL, JARVIS_VAULT_PATH or the config file)');
+    } else if (!isSecretReference(config.supabase.url) && !/^https?:\/\//.test(config.supabase.url)) {
+      errors.push(`supabase.url must be an http(s) URL (got "${config.supabase.url}")`);
+    }
+    if (!config.supabase.key) {
+      errors.push('supabase.key is not set (SUPABASE_KEY, JARVIS_VAULT_PATH or the config file)');
+    }
+  }
+
+  if (config.loki.url && !isSecretReference(config.loki.url) && !/^https?:\/\//.test(config.loki.url)) {
+    errors.push(`loki.url must be an http(s) URL (got "${config.loki.url}")`);
+  }
+
+  FLAGS.forEach(setting => {
+    const [section, key] = setting.split('.');
+    if (typeof config[section][key] !== 'boolean') {
+      errors.push(`${setting} must be true or false (got "${config[section][key]}")`);
+    }
+  });
+  NUMBERS.forEach(setting => {
+    const [section, key] = setting.split('.');
+    const value = config[section][key];
+    if (value !== null && !(typeof value === 'number' && value > 0)) {
+      errors.push(`${setting} must be a positive number (got "${value}")`);
+    }
+  });
+  if (!OTEL_EXPORT_MODES.includes(config.log.otel)) {
+    errors.push(`log.otel must be one of ${OTEL_EXPORT_MODES.join(', ')} (got "${config.log.otel}")`);
+  }
+
+  if (!Array.isArray(config.retention.rules)) {
+    errors.push('retention.rules must be a list of rules (see log-retention.js)');
+  }
+
+  if (!AGENT_VALIDATION_MODES.includes(config.agents.validation)) {
+    errors.push(`agents.validation must be one of ${AGENT_VALIDATION_MODES.join(', ')} (got "${config.agents.validation}")`);
+  }
+  if (!Array.isArray(config.agents.registry)) {
+    errors.push('agents.registry must be a list of agents (see agent-registry.js)');
+  } else {
+    errors.push(...agentRegistryErrors(config.agents.registry));
+  }
+
+  return errors;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Problems with the agents listed in agents.registry
+ */
+function agentRegistryErrors(registry) {
+  const errors = [];
+  const ids = new Set();
+
+  registry.forEach((agent, index) => {
+    const name = `agents.registry[${index}]`;
+    if (!agent || typeof agent !== 'object' || Array.isArray(agent)) {
+      errors.push(`${name} must be an object with an id`);
+      return;
+    }
+    if (typeof agent.id !== 'string' || !AGENT_ID_PATTERN.test(agent.id)) {
+      errors.push(`${name}.id must be lower kebab-case, e.g. agent-01-infrastructure (got "${agent.id}")`);
+    } else if (ids.has(agent.id)) {
+      errors.push(`${name}.id "${agent.id}" is listed more than once`);
+    }
+    ids.add(agent.id);
+    ['aliases', 'capabilities'].forEach(key => {
+      if (agent[key] !== undefined && !isStringList(agent[key])) {
+        errors.push(`${name}.${key} must be a list of strings`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function isProduction(config) {
+  return config.environment === 'production';
+}
+
+/**
+ * Validate a config: throw in production, warn otherwise
+ */
+function checkConfig(config) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    if (isProduction(config)) {
+      throw new ConfigError(errors);
+    }
+    errors.forEach(message => console.warn('Config warning:', message));
+  }
+  return config;
+}
+
+/**
+ * Get the active config, loading and validating it on first use
+ *
+ * @returns {object} Config
+ */
+function getConfig() {
+  if (!current) {
+    current = checkConfig(loadConfig());
+  }
+  return current;
+}
+
+/**
+ * Load the config, resolve its secret references and make it the active config.
+ * Call once at startup, before the first log write.
+ *
+ * @param {object} options - Same as loadConfig
+ * @returns {object} Config
+ */
+async function initConfig(options = {}) {
+  const loaded = checkConfig(loadConfig(options));
+  current = await resolveSecrets(loaded);
+  return current;
+}
+
+/**
+ * Replace the active config (e.g. in tests)
+ *
+ * @param {object} config - Partial config, merged over the defaults
+ * @returns {object} The previous config (or null)
+ */
+function setConfig(config) {
+  const previous = current;
+  current = config ? merge(defaults(), config) : null;
+  return previous;
+}
+
+// Built-in resolvers
+
+/**
+ * Vault KV v2: "vault:<mount>/<path>#<key>"
+ */
+async function resolveVaultSecret(ref, config) {
+  const [secretPath, key] = ref.split('#');
+  const [mount, ...rest] = secretPath.split('/');
+  if (!key || rest.length === 0) {
+    throw new ConfigError([`invalid vault reference "vault:${ref}" (expected vault:<mount>/<path>#<key>)`]);
+  }
+  if (!config.vault.addr || !config.vault.token) {
+    throw new ConfigError(['vault: references need vault.addr and vault.token (VAULT_ADDR / VAULT_TOKEN)']);
+  }
+
+  const url = `${config.vault.addr.replace(/\/+$/, '')}/v1/${mount}/data/${rest.join('/')}`;
+  const response = await fetch(url, { headers: { 'X-Vault-Token': config.vault.token } });
+  if (!response.ok) {
+    throw new ConfigError([`vault responded with ${response.status} for ${secretPath}`]);
+  }
+  const body = await response.json();
+  const data = (body.data && body.data.data) || {};
+  if (data[key] === undefined) {
+    throw new ConfigError([`vault secret ${secretPath} has no key "${key}"`]);
+  }
+  return data[key];
+}
+
+/**
+ * File contents (e.g. Docker/Kubernetes secrets): "file:<path>"
+ */
+async function resolveFileSecret(ref) {
+  return (await fs.promises.readFile(ref, 'utf8')).trim();
+}
+
+registerSecretResolver('vault', resolveVaultSecret);
+registerSecretResolver('file', resolveFileSecret);
+
+module.exports = {
+  AGENT_ID_PATTERN,
+  DEFAULTS,
+  ENV_VARS,
+  ConfigError,
+  loadConfig,
+  registerSecretResolver,
+  isSecretReference,
+  assertResolved,
+  resolveSecrets,
+  validateConfig,
+  getConfig,
+  initConfig,
+  setConfig
+};
@@ -0,0 +1,309 @@
+/**
+ * Conversation Export - Self-contained transcripts of a conversation
+ * For JARVIS multi-agent system
+ *
+ * Turns a conversation (its agent messages from getConversation() and its
+ * MCP tool calls from getMCPCallsForConversation(), merged by
+ * getConversationTimeline()) into a transcript to attach to post-mortems and
+ * tickets:
+ *   - markdown: readable transcript, tool calls listed under their message
+ *   - html:     one static page without external assets, tool-call payloads
+ *               in collapsible sections
+ *   - json:     versioned bundle ({ format: 'jarvis-conversation', version: 1, ... })
+ *
+ * Every record is run through redactRecord() again on the way out, so rows
+ * written before a redaction policy existed do not leak into a transcript.
+ *
+ * Usage:
+ *   const { exportConversation } = require('./conversation-export');
+ *
+ *   const { content, filename, contentType } = await exportConversation('conv-12345', { format: 'html' });
+ *   fs.writeFileSync(filename, content);
+ */
+
+const { getConversationTimeline } = require('./agent-logger');
+const { redactRecord } = require('./redaction');
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json' }
+};
+
+const BUNDLE_FORMAT = 'jarvis-conversation';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Redact every record of a timeline (returns a copy)
+ */
+function redactTimeline(timeline) {
+  const redactEntry = entry => {
+    if (entry.kind === 'tool_call') {
+      return { ...entry, record: redactRecord('mcp_tool_calls', entry.record).row };
+    }
+    return {
+      ...entry,
+      record: redactRecord('agent_communications', entry.record).row,
+      transitions: entry.transitions.map(transition => ({
+        ...transition,
+        metadata: redactRecord('message_status_transitions', { metadata: transition.metadata }).row.metadata
+      })),
+      toolCalls: entry.toolCalls.map(redactEntry)
+    };
+  };
+
+  return { ...timeline, entries: timeline.entries.map(redactEntry) };
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return null;
+  }
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+  return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+function messageText(record) {
+  const payload = record.payload;
+  const text = payload && payload.message !== undefined ? payload.message : payload;
+  if (text === null || text === undefined) {
+    return '';
+  }
+  return typeof text === 'string' ? text : JSON.stringify(text, null, 2);
+}
+
+function toJson(value) {
+  return JSON.stringify(value === undefined ? null : value, null, 2);
+}
+
+// One-line descriptions shared by the Markdown and HTML renderers
+
+function messageHeading(entry) {
+  const { record } = entry;
+  const details = [record.message_type, entry.status, formatDuration(entry.durationMs)].filter(Boolean);
+  return `${record.source_agent} → ${record.target_agent} (${details.join(', ')})`;
+}
+
+function toolCallHeading(entry) {
+  const { record } = entry;
+  const details = [entry.status, formatDuration(entry.durationMs)].filter(Boolean);
+  return `${record.mcp_server}/${record.tool_name} by ${record.requesting_agent} (${details.join(', ')})`;
+}
+
+function transitionLine(transition) {
+  const elapsed = formatDuration(transition.durationMs);
+  return `${transition.status} at ${transition.timestamp}${elapsed ? ` (+${elapsed})` : ''}`;
+}
+
+function summaryLines(timeline) {
+  return [
+    `Started: ${timeline.startedAt || '-'}`,
+    `Ended: ${timeline.endedAt || '-'}`,
+    `Duration: ${formatDuration(timeline.durationMs) || '-'}`,
+    `Messages: ${timeline.messages}`,
+    `Tool calls: ${timeline.toolCalls}`
+  ];
+}
+
+// Markdown
+
+function markdownFence(text, language = '') {
+  // A fence longer than any backtick run inside the text
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function markdownToolCall(entry) {
+  const { record } = entry;
+  const lines = [`#### ${entry.timestamp} ${toolCallHeading(entry)}`, ''];
+  if (record.error_message) {
+    lines.push(`Error: ${record.error_message}`, '');
+  }
+  lines.push('Input:', '', markdownFence(toJson(record.input_params), 'json'), '');
+  if (record.output_result !== undefined && record.output_result !== null) {
+    lines.push('Output:', '', markdownFence(toJson(record.output_result), 'json'), '');
+  }
+  return lines;
+}
+
+function markdownMessage(entry) {
+  const { record } = entry;
+  const lines = [`### ${entry.timestamp} ${messageHeading(entry)}`, ''];
+  const text = messageText(record);
+  if (text) {
+    lines.push(...text.split('\n').map(line => `> ${line}`), '');
+  }
+  if (record.error_message) {
+    lines.push(`Error: ${record.error_message}`, '');
+  }
+  if (entry.transitions.length > 0) {
+    lines.push('Status changes:', '', ...entry.transitions.map(transition => `- ${transitionLine(transition)}`), '');
+  }
+  entry.toolCalls.forEach(call => lines.push(...markdownToolCall(call)));
+  return lines;
+}
+
+/**
+ * Render a timeline as Markdown
+ *
+ * @param {object} timeline - From getConversationTimeline()
+ * @param {object} options - { title }
+ * @returns {string} Markdown
+ */
+function renderMarkdown(timeline, { title = `Conversation ${timeline.conversationId}` } = {}) {
+  const lines = [`# ${title}`, '', ...summaryLines(timeline).map(line => `- ${line}`), '', '## Timeline', ''];
+
+  timeline.entries.forEach(entry => {
+    lines.push(...(entry.kind === 'message' ? markdownMessage(entry) : markdownToolCall(entry)));
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+// HTML
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+  .entry { border-left: 3px solid #8c959f; margin: 1em 0; padding: 0.25em 1em; }
+  .entry.error, .entry.timeout { border-color: #cf222e; }
+  .tool-call { margin: 0.5em 0 0.5em 1em; }
+  .time { color: #59636e; font-size: 0.9em; }
+  .text { white-space: pre-wrap; }
+  .failure { color: #cf222e; }
+  pre { background: #f6f8fa; padding: 0.75em; overflow-x: auto; }
+  summary { cursor: pointer; }
+`;
+
+function htmlToolCall(entry) {
+  const { record } = entry;
+  const output = record.output_result !== undefined && record.output_result !== null
+    ? `<p>Output</p><pre>${escapeHtml(toJson(record.output_result))}</pre>`
+    : '';
+  return `<details class="tool-call entry ${escapeHtml(entry.status)}">
+<summary><span class="time">${escapeHtml(entry.timestamp)}</span> ${escapeHtml(toolCallHeading(entry))}</summary>
+${record.error_message ? `<p class="failure">${escapeHtml(record.error_message)}</p>` : ''}
+<p>Input</p><pre>${escapeHtml(toJson(record.input_params))}</pre>
+${output}
+</details>`;
+}
+
+function htmlMessage(entry) {
+  const { record } = entry;
+  const transitions = entry.transitions.length > 0
+    ? `<ul>${entry.transitions.map(transition => `<li>${escapeHtml(transitionLine(transition))}</li>`).join('')}</ul>`
+    : '';
+  return `<section class="entry ${escapeHtml(entry.status)}">
+<h3><span class="time">${escapeHtml(entry.timestamp)}</span> ${escapeHtml(messageHeading(entry))}</h3>
+<div class="text">${escapeHtml(messageText(record))}</div>
+${record.error_message ? `<p class="failure">${escapeHtml(record.error_message)}</p>` : ''}
+${transitions}
+${entry.toolCalls.map(htmlToolCall).join('\n')}
+</section>`;
+}
+
+/**
+ * Render a timeline as a static HTML page
+ *
+ * @param {object} timeline - From getConversationTimeline()
+ * @param {object} options - { title }
+ * @returns {string} HTML
+ */
+function renderHtml(timeline, { title = `Conversation ${timeline.conversationId}` } = {}) {
+  const entries = timeline.entries.map(entry => (entry.kind === 'message' ? htmlMessage(entry) : htmlToolCall(entry)));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<ul>${summaryLines(timeline).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+<h2>Timeline</h2>
+${entries.join('\n')}
+</body>
+</html>
+`;
+}
+
+// JSON
+
+/**
+ * Render a timeline as a versioned JSON bundle
+ *
+ * @param {object} timeline - From getConversationTimeline()
+ * @param {object} options - { title }
+ * @returns {string} JSON
+ */
+function renderJson(timeline, { title = `Conversation ${timeline.conversationId}` } = {}) {
+  return `${JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    title,
+    ...timeline
+  }, null, 2)}\n`;
+}
+
+const RENDERERS = {
+  markdown: renderMarkdown,
+  html: renderHtml,
+  json: renderJson
+};
+
+/**
+ * Export a conversation as a transcript
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {object} options
+ * @param {string} options.format - 'markdown' (default), 'html' or 'json'
+ * @param {string} options.title - Transcript title (default: "Conversation <id>")
+ * @returns {object|null} { content, filename, contentType, format }, or null if the conversation has no records
+ */
+async function exportConversation(conversationId, { format = 'markdown', title } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const timeline = await getConversationTimeline(conversationId);
+  if (!timeline || timeline.entries.length === 0) {
+    return null;
+  }
+
+  const content = RENDERERS[format](redactTimeline(timeline), title ? { title } : {});
+  const safeId = String(conversationId).replace(/[^A-Za-z0-9._-]/g, '_');
+
+  return {
+    content,
+    filename: `${safeId}.${EXPORT_FORMATS[format].extension}`,
+    contentType: EXPORT_FORMATS[format].contentType,
+    format
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  BUNDLE_VERSION,
+  redactTimeline,
+  renderMarkdown,
+  renderHtml,
+  renderJson,
+  exportConversation
+};
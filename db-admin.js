@@ -0,0 +1,580 @@
+#!/usr/bin/env node
+/**
+ * DB Admin - Guarded schema changes and SQL for the Supabase database
+ * For JARVIS multi-agent system
+ *
+ * Replaces sending raw SQL strings to an `exec_sql` RPC with the regular
+ * client key. Everything here goes through `jarvis_admin_exec`
+ * (storage/sql/jarvis_admin_exec.sql), which only the service role may call:
+ *   - an admin instance needs the service role key (supabase.serviceKey,
+ *     SUPABASE_SERVICE_ROLE_KEY) and refuses the regular client key
+ *   - tables are described with a small schema DSL and the DDL is generated
+ *   - queries are templates with $1, $2, ... placeholders; values are bound as
+ *     quoted literals, never spliced in as SQL
+ *   - only allow-listed statement types run (by default select, insert,
+ *     update, create table and create index); one statement per query, and
+ *     none that calls an SQL runner itself (see NESTED_EXEC_FUNCTIONS)
+ *   - with dryRun the SQL is printed instead of executed, no key needed
+ *
+ * Postgres (Supabase) only: the SQLite and in-memory backends create their
+ * tables themselves.
+ *
+ * Usage:
+ *   node db-admin.js query "select * from tasks where status = \$1" --param pending
+ *   node db-admin.js create-table ./tasks.table.json --dry-run
+ *
+ *   const { createAdmin } = require('./db-admin');
+ *   const admin = createAdmin();                       // or createAdmin({ dryRun: true })
+ *
+ *   await admin.createTable('tasks', {
+ *     id: { type: 'bigserial', primaryKey: true },
+ *     agent_name: { type: 'text', notNull: true },
+ *     status: { type: 'text', notNull: true, default: 'pending' },
+ *     payload: 'jsonb',
+ *     created_at: { type: 'timestamptz', notNull: true, default: { sql: 'now()' } }
+ *   }, { indexes: [{ columns: ['status', 'created_at'] }] });
+ *
+ *   const { data, error } = await admin.query('select * from tasks where status = $1', ['pending']);
+ *   await admin.query('delete from tasks where id = $1', [42], { allow: ['delete'] });
+ *
+ *   // Reviewed scripts only (migrate.js runs the files in migrations/ this way):
+ *   await admin.runScript(fs.readFileSync('migrations/0001_logging_tables.up.sql', 'utf8'));
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { getConfig, assertResolved } = require('./config');
+
+const EXEC_FUNCTION = 'jarvis_admin_exec';
+
+const DEFAULT_ALLOWED_STATEMENTS = ['select', 'insert', 'update', 'create table', 'create index'];
+
+// Functions a query may not call: through them an allowed `select` could run
+// any statement (set_config could clear the runner's own nesting guard)
+const NESTED_EXEC_FUNCTIONS = [EXEC_FUNCTION, 'exec_sql', 'set_config'];
+
+const COLUMN_TYPES = [
+  'text', 'varchar', 'uuid', 'boolean',
+  'smallint', 'integer', 'bigint', 'serial', 'bigserial', 'numeric', 'real', 'double precision',
+  'date', 'timestamp', 'timestamptz', 'interval',
+  'json', 'jsonb', 'text[]', 'integer[]'
+];
+
+// Defaults that are SQL expressions rather than values ({ sql: 'now()' })
+const SQL_DEFAULTS = ['now()', 'current_timestamp', 'current_date', 'gen_random_uuid()'];
+
+const ON_DELETE_ACTIONS = ['cascade', 'restrict', 'set null', 'no action'];
+
+// Words between create/alter/drop and the object type (create unique index, create or replace function)
+const STATEMENT_MODIFIERS = ['or', 'replace', 'unique', 'temp', 'temporary', 'unlogged', 'materialized'];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class AdminQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AdminQueryError';
+  }
+}
+
+class AdminCredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AdminCredentialError';
+  }
+}
+
+// Quoting
+
+/**
+ * Quote an identifier ("name", or "schema"."name")
+ *
+ * @param {string} name - Table, column or index name
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name) {
+  const parts = typeof name === 'string' ? name.split('.') : [];
+  if (parts.length === 0 || parts.length > 2 || !parts.every(part => IDENTIFIER_PATTERN.test(part))) {
+    throw new AdminQueryError(`Invalid identifier: ${name}`);
+  }
+  return parts.map(part => `"${part}"`).join('.');
+}
+
+/**
+ * Render a value as a SQL literal
+ *
+ * @param {*} value - null, string, number, boolean, bigint, Date, array or object (as jsonb)
+ * @returns {string} SQL literal
+ */
+function quoteLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new AdminQueryError(`Cannot bind ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (value instanceof Date) {
+    return `${quoteString(value.toISOString())}::timestamptz`;
+  }
+  if (typeof value === 'object') {
+    return `${quoteString(JSON.stringify(value))}::jsonb`;
+  }
+  return quoteString(String(value));
+}
+
+function quoteString(text) {
+  if (text.includes('\0')) {
+    throw new AdminQueryError('Strings cannot contain NUL characters');
+  }
+  // Backslashes are ordinary characters with standard_conforming_strings (on by default)
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+// Statement checks
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+/**
+ * Split a query template into its statement text and parameter positions.
+ * Rejects comments, dollar quoting, escape strings (E'...', where \' does not
+ * end the string), stray backslashes and more than one statement, which could
+ * hide a second statement from the allow-list check.
+ */
+function scanTemplate(sql) {
+  if (typeof sql !== 'string' || sql.trim() === '') {
+    throw new AdminQueryError('Query must be a non-empty string');
+  }
+
+  const parts = [];
+  let bare = '';
+  let start = 0;
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === "'" && /[eE]/.test(sql[i - 1] || '') && !IDENTIFIER_CHAR.test(sql[i - 2] || '')) {
+      throw new AdminQueryError("Escape strings (E'...') are not allowed in queries, bind the value as a parameter");
+    }
+    if (char === '\\') {
+      throw new AdminQueryError('Backslashes are only allowed inside strings and bound parameters');
+    }
+    if (char === "'" || char === '"') {
+      const end = sql.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new AdminQueryError(`Unterminated ${char === "'" ? 'string' : 'identifier'} in query`);
+      }
+      // A doubled quote is an escaped quote; the scan just continues after it
+      bare += char === '"' ? sql.slice(i, end + 1) : "''";
+      i = end + 1;
+      continue;
+    }
+    if ((char === '-' && next === '-') || (char === '/' && next === '*')) {
+      throw new AdminQueryError('Comments are not allowed in queries');
+    }
+    if (char === '$') {
+      const match = /^\$(\d+)/.exec(sql.slice(i));
+      if (!match) {
+        throw new AdminQueryError('Dollar-quoted strings are not allowed in queries, bind the value as a parameter');
+      }
+      // After an identifier character Postgres reads $n as part of the name
+      // (or, after an E, the bound literal as an escape string)
+      if (IDENTIFIER_CHAR.test(sql[i - 1] || '')) {
+        throw new AdminQueryError(`Placeholder ${match[0]} must be separated from the preceding word`);
+      }
+      parts.push(sql.slice(start, i), Number(match[1]));
+      bare += ' ? ';
+      i += match[0].length;
+      start = i;
+      continue;
+    }
+    if (char === ';') {
+      if (sql.slice(i + 1).trim() !== '') {
+        throw new AdminQueryError('Only one statement per query');
+      }
+      parts.push(sql.slice(start, i));
+      return { parts, bare };
+    }
+
+    bare += char;
+    i++;
+  }
+
+  parts.push(sql.slice(start));
+  return { parts, bare };
+}
+
+/**
+ * Statement type of a query: 'select', 'insert', 'create table', 'drop table', ...
+ *
+ * @param {string} sql - Query (template or bound)
+ * @returns {string} Statement type
+ */
+function statementType(sql) {
+  const words = scanTemplate(sql).bare.trim().toLowerCase().split(/[\s(]+/);
+  if (['create', 'alter', 'drop'].includes(words[0])) {
+    const object = words.slice(1).find(word => !STATEMENT_MODIFIERS.includes(word));
+    return object ? `${words[0]} ${object}` : words[0];
+  }
+  return words[0];
+}
+
+/**
+ * Throw unless the query's statement type is allowed and it calls none of
+ * the NESTED_EXEC_FUNCTIONS (also when quoted or schema-qualified)
+ *
+ * @param {string} sql - Query
+ * @param {array} allow - Allowed statement types
+ * @returns {string} Statement type
+ */
+function assertAllowedStatement(sql, allow = DEFAULT_ALLOWED_STATEMENTS) {
+  const type = statementType(sql);
+  if (!allow.includes(type)) {
+    throw new AdminQueryError(`Statement type "${type}" is not allowed (allowed: ${allow.join(', ')})`);
+  }
+  const words = scanTemplate(sql).bare.toLowerCase().replace(/"/g, ' ').split(/[^a-z0-9_$\u0080-\uffff]+/);
+  const nested = NESTED_EXEC_FUNCTIONS.find(name => words.includes(name));
+  if (nested) {
+    throw new AdminQueryError(`Queries may not reference ${nested}`);
+  }
+  return type;
+}
+
+/**
+ * Bind $n placeholders to quoted literals
+ *
+ * @param {string} sql - Query template
+ * @param {array} params - Values for $1, $2, ...
+ * @returns {string} SQL
+ */
+function bindParams(sql, params = []) {
+  const { parts } = scanTemplate(sql);
+  const used = new Set();
+
+  const bound = parts.map(part => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    if (part < 1 || part > params.length) {
+      throw new AdminQueryError(`Query uses $${part} but ${params.length} parameter(s) were given`);
+    }
+    used.add(part);
+    return quoteLiteral(params[part - 1]);
+  }).join('');
+
+  if (used.size !== params.length) {
+    throw new AdminQueryError(`Query uses ${used.size} of ${params.length} parameter(s)`);
+  }
+  return bound.trim();
+}
+
+// Schema DSL
+
+function columnDefinition(name, spec) {
+  const column = typeof spec === 'string' ? { type: spec } : spec;
+  if (!column || !COLUMN_TYPES.includes(column.type)) {
+    throw new AdminQueryError(`Column ${name}: type must be one of ${COLUMN_TYPES.join(', ')} (got "${column && column.type}")`);
+  }
+
+  const parts = [quoteIdentifier(name), column.type];
+  if (column.primaryKey) {
+    parts.push('primary key');
+  }
+  if (column.notNull) {
+    parts.push('not null');
+  }
+  if (column.unique) {
+    parts.push('unique');
+  }
+  if (column.default !== undefined) {
+    const expression = column.default && typeof column.default === 'object' && column.default.sql;
+    if (expression && !SQL_DEFAULTS.includes(expression)) {
+      throw new AdminQueryError(`Column ${name}: default expression must be one of ${SQL_DEFAULTS.join(', ')}`);
+    }
+    parts.push(`default ${expression || quoteLiteral(column.default)}`);
+  }
+  if (column.references) {
+    const { table, column: target = 'id', onDelete = null } = column.references;
+    if (onDelete && !ON_DELETE_ACTIONS.includes(onDelete)) {
+      throw new AdminQueryError(`Column ${name}: onDelete must be one of ${ON_DELETE_ACTIONS.join(', ')}`);
+    }
+    parts.push(`references ${quoteIdentifier(table)} (${quoteIdentifier(target)})`);
+    if (onDelete) {
+      parts.push(`on delete ${onDelete}`);
+    }
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Generate the DDL for a table
+ *
+ * @param {string} tableName - Table name (optionally schema-qualified)
+ * @param {object} columns - { column: type | { type, primaryKey, notNull, unique, default, references } }
+ *   default is a value, or { sql: 'now()' } for one of SQL_DEFAULTS;
+ *   references is { table, column = 'id', onDelete }
+ * @param {object} options
+ * @param {array} options.primaryKey - Composite primary key columns
+ * @param {array} options.indexes - [{ columns, unique, name }]
+ * @param {boolean} options.ifNotExists - Leave an existing table alone (default: true)
+ * @returns {array} Statements: create table, then one create index per index
+ */
+function createTableSql(tableName, columns, { primaryKey = null, indexes = [], ifNotExists = true } = {}) {
+  const names = Object.keys(columns || {});
+  if (names.length === 0) {
+    throw new AdminQueryError(`Table ${tableName} needs at least one column`);
+  }
+
+  const definitions = names.map(name => columnDefinition(name, columns[name]));
+  if (primaryKey) {
+    definitions.push(`primary key (${primaryKey.map(quoteIdentifier).join(', ')})`);
+  }
+
+  const exists = ifNotExists ? 'if not exists ' : '';
+  const statements = [`create table ${exists}${quoteIdentifier(tableName)} (\n  ${definitions.join(',\n  ')}\n)`];
+
+  const bareTable = tableName.split('.').pop();
+  indexes.forEach(({ columns: indexColumns, unique = false, name = null }) => {
+    if (!Array.isArray(indexColumns) || indexColumns.length === 0) {
+      throw new AdminQueryError(`Index on ${tableName} needs a list of columns`);
+    }
+    const indexName = name || `${bareTable}_${indexColumns.join('_')}_idx`;
+    statements.push(`create ${unique ? 'unique ' : ''}index ${exists}${quoteIdentifier(indexName)} ` +
+      `on ${quoteIdentifier(tableName)} (${indexColumns.map(quoteIdentifier).join(', ')})`);
+  });
+
+  return statements;
+}
+
+// Credentials
+
+function jwtRole(key) {
+  const segments = key.split('.');
+  if (segments.length !== 3) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(segments[1], 'base64url').toString('utf8')).role || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Throw unless a key is a Supabase service role key (legacy JWT with
+ * role=service_role, or an sb_secret_ key)
+ *
+ * @param {string} key - API key
+ * @param {string} clientKey - The regular client key, which is always refused
+ * @returns {string} The key
+ */
+function assertAdminKey(key, clientKey = null) {
+  if (!key) {
+    throw new AdminCredentialError('DB admin needs the service role key (supabase.serviceKey / SUPABASE_SERVICE_ROLE_KEY)');
+  }
+  if (clientKey && key === clientKey) {
+    throw new AdminCredentialError('DB admin refuses the regular client key (supabase.key), use the service role key');
+  }
+  if (key.startsWith('sb_secret_') || jwtRole(key) === 'service_role') {
+    return key;
+  }
+  throw new AdminCredentialError('supabase.serviceKey is not a service role key');
+}
+
+// Admin instance
+
+/**
+ * Create a DB admin
+ *
+ * @param {object} options
+ * @param {string} options.url - Supabase project URL (default: supabase.url)
+ * @param {string} options.serviceKey - Service role key (default: supabase.serviceKey)
+ * @param {object} options.client - Existing Supabase client created with the service role key (optional)
+ * @param {array} options.allow - Allowed statement types (default: DEFAULT_ALLOWED_STATEMENTS)
+ * @param {boolean} options.dryRun - Print the SQL instead of running it
+ * @param {function} options.log - Where dry-run SQL goes (default: console.log)
+ * @returns {object} { query, createTable, runScript, dryRun }
+ */
+function createAdmin({
+  url = null,
+  serviceKey = null,
+  client = null,
+  allow = DEFAULT_ALLOWED_STATEMENTS,
+  dryRun = false,
+  log = console.log
+} = {}) {
+  let supabase = client;
+
+  if (!dryRun && !client) {
+    const config = getConfig().supabase;
+    url = url || assertResolved(config.url, 'supabase.url');
+    serviceKey = assertAdminKey(serviceKey || assertResolved(config.serviceKey, 'supabase.serviceKey'), config.key);
+    if (!url) {
+      throw new AdminCredentialError('DB admin needs supabase.url (SUPABASE_URL)');
+    }
+  }
+
+  function getClient() {
+    if (!supabase) {
+      // Install: npm install @supabase/supabase-js
+      const { createClient } = require('@supabase/supabase-js');
+      supabase = createClient(url, serviceKey);
+    }
+    return supabase;
+  }
+
+  /**
+   * Run statements that were already checked and bound
+   */
+  async function execute(statements) {
+    const results = [];
+
+    for (const { sql, type } of statements) {
+      if (dryRun) {
+        log(`${sql};`);
+        results.push(null);
+        continue;
+      }
+
+      // Rows come back for selects and for writes with a returning clause
+      const returnsRows = type === 'select' ||
+        (type !== 'script' && /\breturning\b/i.test(scanTemplate(sql).bare));
+      try {
+        const { data, error } = await getClient().rpc(EXEC_FUNCTION, { statement: sql, returns_rows: returnsRows });
+        if (error) {
+          return { data: results, error, sql };
+        }
+        results.push(data === undefined ? null : data);
+      } catch (err) {
+        return { data: results, error: err, sql };
+      }
+    }
+
+    return { data: results, error: null, sql: statements.map(statement => statement.sql).join(';\n') };
+  }
+
+  return {
+    dryRun,
+
+    /**
+     * Run one parameterised statement
+     *
+     * @param {string} sql - Template with $1, $2, ... placeholders
+     * @param {array} params - Parameter values
+     * @param {object} options
+     * @param {array} options.allow - Allowed statement types for this query (default: the admin's)
+     * @returns {object} { data, error, sql } - data is the rows, or { rows: count } for other statements
+     */
+    async query(sql, params = [], { allow: allowed = allow } = {}) {
+      const type = assertAllowedStatement(sql, allowed);
+      const result = await execute([{ sql: bindParams(sql, params), type }]);
+      return { ...result, data: result.data[0] === undefined ? null : result.data[0] };
+    },
+
+    /**
+     * Create a table (and its indexes) from a column spec, see createTableSql()
+     *
+     * @returns {object} { data, error, sql }
+     */
+    async createTable(tableName, columns, options = {}) {
+      const statements = createTableSql(tableName, columns, options).map(sql => ({
+        sql,
+        type: assertAllowedStatement(sql, allow)
+      }));
+      return execute(statements);
+    },
+
+    /**
+     * Run a reviewed multi-statement script (e.g. a migration file) in one
+     * transaction. Skips the allow-list and binding: never pass SQL built
+     * from agent input.
+     *
+     * @param {string} sql - Script
+     * @returns {object} { data, error, sql }
+     */
+    async runScript(sql) {
+      if (typeof sql !== 'string' || sql.trim() === '') {
+        throw new AdminQueryError('Script must be a non-empty string');
+      }
+      const result = await execute([{ sql: sql.trim(), type: 'script' }]);
+      return { ...result, data: result.data[0] === undefined ? null : result.data[0] };
+    }
+  };
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: {
+      param: { type: 'string', multiple: true, default: [] },
+      allow: { type: 'string', multiple: true, default: [] },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  const [command, argument] = positionals;
+
+  if (!['query', 'create-table'].includes(command) || !argument) {
+    console.error('Usage: db-admin.js query "<sql with $1 ...>" [--param value]... [--allow "delete"]... [--dry-run]');
+    console.error('       db-admin.js create-table <spec.json> [--dry-run]');
+    console.error('       spec.json: { "table": "tasks", "columns": { ... }, "primaryKey": [...], "indexes": [...] }');
+    return 2;
+  }
+
+  const admin = createAdmin({
+    allow: [...DEFAULT_ALLOWED_STATEMENTS, ...options.allow],
+    dryRun: options['dry-run']
+  });
+
+  let result;
+  if (command === 'query') {
+    result = await admin.query(argument, options.param);
+  } else {
+    const { table, columns, ...tableOptions } = JSON.parse(fs.readFileSync(argument, 'utf8'));
+    result = await admin.createTable(table, columns, tableOptions);
+  }
+
+  if (result.error) {
+    console.error('❌ SQL error:', result.error.message);
+    return 1;
+  }
+  if (!admin.dryRun) {
+    console.log(JSON.stringify(result.data, null, 2));
+  }
+  return 0;
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_STATEMENTS,
+  COLUMN_TYPES,
+  AdminQueryError,
+  AdminCredentialError,
+  quoteIdentifier,
+  quoteLiteral,
+  statementType,
+  assertAllowedStatement,
+  bindParams,
+  createTableSql,
+  assertAdminKey,
+  createAdmin
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
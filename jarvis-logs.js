@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/**
+ * JARVIS Logs - Command-line tool for querying and tailing agent and MCP logs
+ * For JARVIS multi-agent system
+ *
+ * Built on the query functions of agent-logger.js and mcp-logger.js, so it
+ * reads from whatever backend is configured (see config.js).
+ *
+ * Usage:
+ *   node jarvis-logs.js messages [--from a] [--to b] [--type t] [--status error,timeout]
+ *                                [--conversation id] [--tag t] [--search "words"]
+ *                                [--since 2h] [--until ISO] [--limit 50] [--cursor c | --all]
+ *   node jarvis-logs.js mcp-calls [--server vault] [--tool kv-get] [--agent a] [--status error]
+ *                                 [--conversation id] [--search "words"] [--since 1d] ...
+ *   node jarvis-logs.js conversation <id>           # timeline: messages with their tool calls
+ *   node jarvis-logs.js stats [agents|mcp] [--agent a] [--server s] [--since 1d] [--until ISO]
+ *   node jarvis-logs.js tail [messages|mcp-calls] [-f] [-n 20] [filters...]
+ *
+ * Output: --format table (default), json or ndjson.
+ * Times: ISO timestamps or relative durations (30s, 15m, 2h, 7d).
+ * Filters that take several values accept a comma-separated list.
+ */
+
+const { parseArgs } = require('util');
+const {
+  getConversationTimeline,
+  queryAgentMessagesPage,
+  subscribe: subscribeMessages,
+  getAgentStats
+} = require('./agent-logger');
+const {
+  queryMCPToolCallsPage,
+  subscribe: subscribeToolCalls,
+  getMCPStats
+} = require('./mcp-logger');
+const { getStorage } = require('./storage');
+
+const FORMATS = ['table', 'json', 'ndjson'];
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const MAX_CELL_WIDTH = 60;
+
+const USAGE = `Usage: jarvis-logs <command> [options]
+
+Commands:
+  messages                 Agent messages, newest first
+  mcp-calls                MCP tool calls, newest first
+  conversation <id>        Conversation timeline: messages with their tool calls nested
+  stats [agents|mcp]       Counts, error rates and latency percentiles
+  tail [messages|mcp-calls] [-f]   Latest rows; -f keeps streaming new ones
+
+Filters:
+  --from, --to, --type, --status, --conversation, --tag, --search   (messages)
+  --server, --tool, --agent, --status, --conversation, --search      (mcp-calls)
+  --since, --until         ISO timestamp or relative (30s, 15m, 2h, 7d)
+  -n, --limit              Page size; --cursor c for the next page, --all for every page
+
+Output:
+  -o, --format             table (default), json or ndjson`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'o', default: 'table' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  type: { type: 'string' },
+  status: { type: 'string' },
+  conversation: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  search: { type: 'string' },
+  server: { type: 'string' },
+  tool: { type: 'string' },
+  agent: { type: 'string' },
+  since: { type: 'string' },
+  until: { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  cursor: { type: 'string' },
+  all: { type: 'boolean', default: false },
+  follow: { type: 'boolean', short: 'f', default: false },
+  interval: { type: 'string', default: '2000' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Table columns per record kind: [header, getter]
+const COLUMNS = {
+  message: [
+    ['TIMESTAMP', row => row.timestamp],
+    ['FROM', row => row.source_agent],
+    ['TO', row => row.target_agent],
+    ['TYPE', row => row.message_type],
+    ['STATUS', row => row.status],
+    ['MESSAGE', row => (row.payload && row.payload.message !== undefined ? row.payload.message : row.payload)]
+  ],
+  mcp_call: [
+    ['TIMESTAMP', row => row.timestamp],
+    ['SERVER', row => row.mcp_server],
+    ['TOOL', row => row.tool_name],
+    ['AGENT', row => row.requesting_agent],
+    ['STATUS', row => row.status],
+    ['MS', row => row.execution_time_ms],
+    ['ERROR', row => row.error_message]
+  ],
+  timeline: [
+    ['TIMESTAMP', entry => entry.timestamp],
+    ['KIND', entry => (entry.nested ? `  ${entry.kind}` : entry.kind)],
+    ['WHO', ({ kind, record }) => (kind === 'message'
+      ? `${record.source_agent} -> ${record.target_agent}`
+      : record.requesting_agent)],
+    ['WHAT', ({ kind, record }) => (kind === 'message'
+      ? (record.payload && record.payload.message !== undefined ? record.payload.message : record.message_type)
+      : `${record.mcp_server}/${record.tool_name}`)],
+    ['STATUS', entry => entry.status],
+    ['MS', entry => entry.durationMs]
+  ]
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse an ISO timestamp or a relative duration ("15m" = 15 minutes ago)
+ */
+function parseTime(value) {
+  if (!value) {
+    return null;
+  }
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) {
+    return new Date(Date.now() - Number(relative[1]) * DURATION_UNITS[relative[2]]).toISOString();
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageError(`Invalid time: ${value} (use an ISO timestamp or e.g. 30s, 15m, 2h, 7d)`);
+  }
+  return new Date(time).toISOString();
+}
+
+function parseList(value) {
+  if (!value) {
+    return undefined;
+  }
+  const list = value.split(',').map(item => item.trim()).filter(Boolean);
+  return list.length === 1 ? list[0] : list;
+}
+
+function parseNumber(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function messageFilters(options) {
+  return {
+    fromAgent: parseList(options.from),
+    toAgent: parseList(options.to),
+    messageType: parseList(options.type),
+    status: parseList(options.status),
+    conversationId: options.conversation,
+    tags: options.tag,
+    search: options.search,
+    since: parseTime(options.since),
+    until: parseTime(options.until)
+  };
+}
+
+function callFilters(options) {
+  return {
+    mcpServer: parseList(options.server),
+    toolName: parseList(options.tool),
+    requestingAgent: parseList(options.agent),
+    status: parseList(options.status),
+    conversationId: options.conversation,
+    search: options.search,
+    since: parseTime(options.since),
+    until: parseTime(options.until)
+  };
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = (typeof value === 'object' ? JSON.stringify(value) : String(value)).replace(/\s+/g, ' ');
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(([, get]) => cellText(get(row))));
+  const widths = columns.map(([header], index) =>
+    Math.max(header.length, ...cells.map(line => line[index].length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  return [line(columns.map(([header]) => header)), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Write rows in the requested format
+ *
+ * @param {array} rows - Records
+ * @param {string} kind - 'message', 'mcp_call' or 'timeline' (table columns)
+ * @param {string} format - 'table', 'json' or 'ndjson'
+ * @param {object} options - { header: false } to print table rows without the header line
+ */
+function printRows(rows, kind, format, { header = true } = {}) {
+  if (format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+  } else if (format === 'ndjson') {
+    rows.forEach(row => console.log(JSON.stringify(row)));
+  } else if (rows.length > 0 || header) {
+    const table = formatTable(rows, COLUMNS[kind]);
+    console.log(header ? table : table.split('\n').slice(1).join('\n'));
+  }
+}
+
+/**
+ * Read one page, or every page with --all (stops at the first failed page)
+ */
+async function readPages(queryPage, filters, options) {
+  const limit = parseNumber(options.limit, 'limit') || 50;
+  let cursor = options.cursor;
+  let rows = [];
+
+  do {
+    const page = await queryPage({ ...filters, limit, cursor });
+    if (page.error) {
+      return { rows, nextCursor: null, error: page.error };
+    }
+    rows = rows.concat(page.rows);
+    cursor = page.nextCursor;
+  } while (cursor && options.all);
+
+  return { rows, nextCursor: cursor || null, error: null };
+}
+
+async function listCommand(kind, options) {
+  const { rows, nextCursor, error } = kind === 'message'
+    ? await readPages(queryAgentMessagesPage, messageFilters(options), options)
+    : await readPages(queryMCPToolCallsPage, callFilters(options), options);
+
+  if (error) {
+    console.error(`Query failed: ${error.message}`);
+    return 1;
+  }
+
+  printRows(rows, kind, options.format);
+  if (nextCursor) {
+    // stderr, so piped JSON/NDJSON output stays clean
+    console.error(`More results: --cursor ${nextCursor}`);
+  }
+  return 0;
+}
+
+async function conversationCommand(conversationId, options) {
+  if (!conversationId) {
+    throw new UsageError('conversation needs an id: jarvis-logs conversation <id>');
+  }
+
+  const timeline = await getConversationTimeline(conversationId);
+  if (!timeline) {
+    return 1;
+  }
+
+  // Tables list each message's tool calls right below it, indented
+  const rows = options.format === 'table'
+    ? timeline.entries.flatMap(entry => [entry, ...(entry.toolCalls || []).map(call => ({ ...call, nested: true }))])
+    : timeline.entries;
+
+  printRows(rows, 'timeline', options.format);
+  return timeline.entries.length > 0 ? 0 : 1;
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function printStatsTable(title, entries, columns) {
+  console.log(`\n${title}`);
+  console.log(formatTable(entries, columns));
+}
+
+async function statsCommand(scope, options) {
+  if (scope && !['agents', 'mcp'].includes(scope)) {
+    throw new UsageError(`Unknown stats scope: ${scope} (expected agents or mcp)`);
+  }
+  const window = { since: parseTime(options.since), until: parseTime(options.until) };
+  const [agents, mcp] = await Promise.all([
+    scope === 'mcp' ? null : getAgentStats(options.agent || null, window),
+    scope === 'agents' ? null : getMCPStats(options.server || null, window)
+  ]);
+
+  if ((scope !== 'mcp' && !agents) || (scope !== 'agents' && !mcp)) {
+    return 1;
+  }
+
+  if (options.format !== 'table') {
+    const stats = scope === 'agents' ? agents : scope === 'mcp' ? mcp : { agents, mcp };
+    console.log(options.format === 'json' ? JSON.stringify(stats, null, 2) : JSON.stringify(stats));
+    return 0;
+  }
+
+  if (agents) {
+    console.log(`Agent messages: ${agents.total_messages} (error rate ${percent(agents.error_rate)})`);
+    printStatsTable('By agent', Object.entries(agents.by_agent).map(([name, counts]) => ({ name, ...counts })), [
+      ['AGENT', row => row.name],
+      ['SENT', row => row.sent],
+      ['RECEIVED', row => row.received]
+    ]);
+  }
+
+  if (mcp) {
+    const latency = [
+      ['CALLS', row => row.count],
+      ['ERRORS', row => percent(row.error_rate)],
+      ['AVG MS', row => row.avg_time],
+      ['P50', row => row.p50_time],
+      ['P95', row => row.p95_time],
+      ['P99', row => row.p99_time]
+    ];
+    console.log(`${agents ? '\n' : ''}MCP calls: ${mcp.total_calls} (error rate ${percent(mcp.error_rate)}, ` +
+      `p50 ${mcp.p50_execution_time} ms, p95 ${mcp.p95_execution_time} ms, p99 ${mcp.p99_execution_time} ms)`);
+    printStatsTable('By server', Object.entries(mcp.by_server).map(([name, stats]) => ({ name, ...stats })),
+      [['SERVER', row => row.name], ...latency]);
+    printStatsTable('By tool', Object.entries(mcp.by_tool).map(([name, stats]) => ({ name, ...stats })),
+      [['TOOL', row => row.name], ...latency]);
+  }
+  return 0;
+}
+
+async function tailCommand(target = 'messages', options) {
+  if (!['messages', 'mcp-calls'].includes(target)) {
+    throw new UsageError(`Unknown tail target: ${target} (expected messages or mcp-calls)`);
+  }
+  const kind = target === 'messages' ? 'message' : 'mcp_call';
+  const queryPage = kind === 'message' ? queryAgentMessagesPage : queryMCPToolCallsPage;
+  const filters = kind === 'message' ? messageFilters(options) : callFilters(options);
+
+  // Newest first from the query, printed oldest first
+  const { rows, error } = await queryPage({ ...filters, limit: parseNumber(options.limit, 'limit') || 10 });
+  if (error) {
+    console.error(`Query failed: ${error.message}`);
+    return 1;
+  }
+  printRows(rows.reverse(), kind, options.format);
+
+  if (!options.follow) {
+    return 0;
+  }
+
+  // New rows and later updates (e.g. status changes) stream in as they are written
+  const subscribe = kind === 'message' ? subscribeMessages : subscribeToolCalls;
+  const unsubscribe = await subscribe(filters, record => {
+    printRows([record], kind, options.format === 'json' ? 'ndjson' : options.format, { header: false });
+  }, { intervalMs: parseNumber(options.interval, 'interval') });
+
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await unsubscribe();
+  return 0;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return command || options.help ? 0 : 2;
+  }
+
+  try {
+    if (!FORMATS.includes(options.format)) {
+      throw new UsageError(`Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`);
+    }
+
+    switch (command) {
+      case 'messages':
+        return await listCommand('message', options);
+      case 'mcp-calls':
+        return await listCommand('mcp_call', options);
+      case 'conversation':
+        return await conversationCommand(rest[0], options);
+      case 'stats':
+        return await statsCommand(rest[0], options);
+      case 'tail':
+        return await tailCommand(rest[0], options);
+      default:
+        throw new UsageError(`Unknown command: ${command} (expected messages, mcp-calls, conversation, stats or tail)`);
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(err.message);
+      return 2;
+    }
+    throw err;
+  } finally {
+    await getStorage().close();
+  }
+}
+
+module.exports = { main };
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err);
+      process.exitCode = 1;
+    });
+}
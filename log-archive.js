@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/**
+ * Log Archive - Gzipped NDJSON snapshots of log tables, and their re-import
+ * For JARVIS multi-agent system
+ *
+ * An archive is a directory holding one `<table>.ndjson.gz` file per table
+ * (one row per line, oldest first) and a `manifest.json` describing them:
+ *
+ *   {
+ *     "format": "jarvis-log-archive", "version": 1,
+ *     "createdAt": "...", "source": "supabase", "since": "...", "until": "...", "where": [],
+ *     "tables": {
+ *       "agent_communications": { "file": "agent_communications.ndjson.gz", "key": "message_id",
+ *                                 "rows": 1200, "bytes": 48213, "sha256": "..." },
+ *       ...
+ *     }
+ *   }
+ *
+ * Rows are read page by page and streamed through gzip, so archives of any
+ * size fit in memory. Imports work into any storage backend and upsert on the
+ * table's key (message_id / id), skipping rows that already exist, so an
+ * archive can be imported twice or into a backend that has part of it.
+ *
+ * Usage:
+ *   node log-archive.js archive ./archives/2025-01 --since 2025-01-01 --until 2025-02-01
+ *   node log-archive.js import ./archives/2025-01 [--dry-run]
+ *
+ *   const { archiveLogs, importArchive } = require('./log-archive');
+ *   const manifest = await archiveLogs({ dir, since, until });
+ *   const { tables, error } = await importArchive({ dir });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const { getStorage } = require('./storage');
+const { timeWindow } = require('./storage/filters');
+const { selectPage } = require('./storage/pagination');
+
+const ARCHIVE_FORMAT = 'jarvis-log-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// Archived tables and the column that identifies a row across backends
+const ARCHIVE_TABLES = {
+  agent_communications: 'message_id',
+  mcp_tool_calls: 'id',
+  message_status_transitions: 'id'
+};
+
+function assertTables(tables) {
+  tables.forEach(table => {
+    if (!ARCHIVE_TABLES[table]) {
+      throw new Error(`Cannot archive table ${table} (expected ${Object.keys(ARCHIVE_TABLES).join(', ')})`);
+    }
+  });
+}
+
+async function fileSha256(file) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Stream the rows of one table into a gzipped NDJSON file
+ */
+async function archiveTable(storage, table, file, { where, batchSize }) {
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, fs.createWriteStream(file));
+  const orderBy = [
+    { column: 'timestamp', ascending: true },
+    { column: ARCHIVE_TABLES[table], ascending: true }
+  ];
+  let rows = 0;
+  let cursor = null;
+
+  try {
+    do {
+      const { data, error } = await selectPage(storage, table, { where, orderBy, limit: batchSize, cursor });
+      if (error) {
+        throw new Error(`Reading ${table} failed: ${error.message}`);
+      }
+      for (const row of data.rows) {
+        if (!gzip.write(JSON.stringify(row) + '\n')) {
+          await once(gzip, 'drain');
+        }
+      }
+      rows += data.rows.length;
+      cursor = data.nextCursor;
+    } while (cursor);
+  } finally {
+    gzip.end();
+    await written;
+  }
+
+  return {
+    file: path.basename(file),
+    key: ARCHIVE_TABLES[table],
+    rows,
+    bytes: fs.statSync(file).size,
+    sha256: await fileSha256(file)
+  };
+}
+
+/**
+ * Archive log rows of a time range into a directory
+ *
+ * @param {object} options
+ * @param {string} options.dir - Target directory (created; must not hold an archive yet)
+ * @param {string|Date} options.since - Rows at or after (optional)
+ * @param {string|Date} options.until - Rows before (optional)
+ * @param {array} options.where - Further conditions on the rows (optional, see storage/filters.js)
+ * @param {array} options.tables - Tables to archive (default: all of ARCHIVE_TABLES)
+ * @param {object} options.storage - Storage adapter (default: active storage)
+ * @param {number} options.batchSize - Rows read per query (default: 1000)
+ * @returns {object} Manifest
+ */
+async function archiveLogs({
+  dir,
+  since = null,
+  until = null,
+  where = [],
+  tables = Object.keys(ARCHIVE_TABLES),
+  storage = getStorage(),
+  batchSize = 1000
+} = {}) {
+  if (!dir) {
+    throw new Error('archiveLogs needs a target directory');
+  }
+  assertTables(tables);
+
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    throw new Error(`${dir} already holds an archive`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    source: storage.name,
+    since: toIso(since),
+    until: toIso(until),
+    where,
+    tables: {}
+  };
+  const conditions = [...timeWindow('timestamp', { since, until }), ...where];
+
+  for (const table of tables) {
+    manifest.tables[table] = await archiveTable(storage, table, path.join(dir, `${table}.ndjson.gz`), {
+      where: conditions,
+      batchSize
+    });
+  }
+
+  // Written last: a directory without a manifest is an unfinished archive
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  return manifest;
+}
+
+/**
+ * Read and check an archive manifest
+ *
+ * @param {string} dir - Archive directory
+ * @returns {object} Manifest
+ */
+function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No ${MANIFEST_FILE} in ${dir}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`${manifestPath} is not a ${ARCHIVE_FORMAT} manifest`);
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this tool (${ARCHIVE_VERSION})`);
+  }
+  assertTables(Object.keys(manifest.tables));
+  return manifest;
+}
+
+/**
+ * Read the rows of an archived table, in batches
+ *
+ * @param {string} file - Gzipped NDJSON file
+ * @param {number} batchSize - Rows per batch
+ * @returns {AsyncGenerator<array>} Batches of rows
+ */
+async function* readArchiveRows(file, batchSize = 500) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+  let batch = [];
+
+  for await (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+    batch.push(JSON.parse(line));
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+/**
+ * Drop columns the target backend assigns itself: rows keyed on something
+ * other than `id` get a fresh `id` wherever they are imported.
+ */
+function importRow(row, key) {
+  if (key === 'id') {
+    return row;
+  }
+  const { id, ...rest } = row;
+  return rest;
+}
+
+/**
+ * Import an archive into a storage backend. Rows whose key already exists
+ * are skipped. Stops at the first failed write.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Archive directory
+ * @param {array} options.tables - Tables to import (default: every table in the archive)
+ * @param {object} options.storage - Storage adapter (default: active storage)
+ * @param {number} options.batchSize - Rows per upsert (default: 500)
+ * @param {boolean} options.dryRun - Only verify the files and count their rows
+ * @returns {object} { manifest, tables: { [table]: { rows, written } }, error }
+ */
+async function importArchive({
+  dir,
+  tables = null,
+  storage = getStorage(),
+  batchSize = 500,
+  dryRun = false
+} = {}) {
+  const manifest = readManifest(dir);
+  const selected = tables || Object.keys(manifest.tables);
+  const results = {};
+
+  for (const table of selected) {
+    const entry = manifest.tables[table];
+    if (!entry) {
+      return { manifest, tables: results, error: new Error(`Archive has no ${table} table`) };
+    }
+
+    const file = path.join(dir, entry.file);
+    if (await fileSha256(file) !== entry.sha256) {
+      return { manifest, tables: results, error: new Error(`${entry.file} does not match its manifest checksum`) };
+    }
+
+    results[table] = { rows: 0, written: 0 };
+    for await (const batch of readArchiveRows(file, batchSize)) {
+      results[table].rows += batch.length;
+      if (dryRun) {
+        continue;
+      }
+
+      const { data, error } = await storage.upsert(table, batch.map(row => importRow(row, entry.key)), {
+        onConflict: entry.key,
+        ignoreDuplicates: true
+      });
+      if (error) {
+        console.warn(`Log Archive warning: importing ${table} stopped after ${results[table].written} row(s):`, error.message);
+        return { manifest, tables: results, error };
+      }
+      results[table].written += data ? data.length : 0;
+    }
+  }
+
+  return { manifest, tables: results, error: null };
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: {
+      since: { type: 'string' },
+      until: { type: 'string' },
+      tables: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  const [command, dir] = positionals;
+  const tables = options.tables ? options.tables.split(',').map(table => table.trim()) : undefined;
+
+  if (!['archive', 'import'].includes(command) || !dir) {
+    console.error('Usage: log-archive.js archive <dir> [--since ISO] [--until ISO] [--tables a,b]');
+    console.error('       log-archive.js import <dir> [--tables a,b] [--dry-run]');
+    return 2;
+  }
+
+  try {
+    if (command === 'archive') {
+      const manifest = await archiveLogs({ dir, since: options.since, until: options.until, tables });
+      Object.entries(manifest.tables).forEach(([table, entry]) => {
+        console.log(`✅ ${table}: ${entry.rows} row(s) -> ${path.join(dir, entry.file)}`);
+      });
+      return 0;
+    }
+
+    const { tables: results, error } = await importArchive({ dir, tables, dryRun: options['dry-run'] });
+    Object.entries(results).forEach(([table, { rows, written }]) => {
+      console.log(options['dry-run']
+        ? `${table}: ${rows} row(s) in archive`
+        : `✅ ${table}: ${written} of ${rows} row(s) imported (${rows - written} already present)`);
+    });
+    if (error) {
+      console.error('❌ Import failed:', error.message);
+      return 1;
+    }
+    return 0;
+  } finally {
+    await getStorage().close();
+  }
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ARCHIVE_TABLES,
+  archiveLogs,
+  readManifest,
+  readArchiveRows,
+  importArchive
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Log Retention - Prune log rows by age, per table and message type
+ * For JARVIS multi-agent system
+ *
+ * Rules live in the config file under retention.rules (see config.js):
+ *
+ *   "retention": {
+ *     "archiveDir": "/var/backups/jarvis-logs",
+ *     "rules": [
+ *       { "table": "agent_communications", "match": { "message_type": "error" }, "days": 180 },
+ *       { "table": "agent_communications", "match": { "message_type": ["request", "response"] }, "days": 30 },
+ *       { "table": "agent_communications", "days": 90 },
+ *       { "table": "mcp_tool_calls", "clear": ["output_result"], "days": 7 },
+ *       { "table": "mcp_tool_calls", "days": 90 },
+ *       { "table": "message_status_transitions", "days": 90 }
+ *     ]
+ *   }
+ *
+ * A rule deletes the rows of `table` whose timestamp is older than `days`
+ * and whose columns equal the `match` values (a list matches any of its
+ * values). A rule without `match` covers the rest of the table: rows matched
+ * by another delete rule of the same table are left to that rule. A rule with
+ * `clear` keeps its rows and sets those columns to null instead, e.g. to drop
+ * large tool outputs early while keeping the call itself.
+ *
+ * With an archive directory, the rows of each rule are archived (see
+ * log-archive.js) before they are deleted or cleared.
+ *
+ * Usage:
+ *   node log-retention.js --dry-run                   # what would be pruned
+ *   node log-retention.js [--archive-dir ./archives]  # prune now
+ *
+ *   const { pruneLogs, startRetentionSchedule } = require('./log-retention');
+ *   const { results } = await pruneLogs({ dryRun: true });
+ *   const stop = startRetentionSchedule({ intervalMs: 24 * 60 * 60 * 1000 });
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { getConfig } = require('./config');
+const { getStorage } = require('./storage');
+const { eq, lt, not, matches, assertIdentifier } = require('./storage/filters');
+const { ARCHIVE_TABLES, archiveLogs } = require('./log-archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = DAY_MS;
+
+/**
+ * Throw if a retention rule is malformed
+ *
+ * @param {object} rule - { table, match, days, clear }
+ * @param {number} index - Position in the rule list, for the message
+ * @returns {object} The same rule
+ */
+function assertRetentionRule(rule, index = 0) {
+  const name = `retention rule ${index + 1}`;
+
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${name} must be an object`);
+  }
+  if (!ARCHIVE_TABLES[rule.table]) {
+    throw new Error(`${name}: table must be one of ${Object.keys(ARCHIVE_TABLES).join(', ')} (got "${rule.table}")`);
+  }
+  if (!(typeof rule.days === 'number' && rule.days > 0)) {
+    throw new Error(`${name}: days must be a positive number`);
+  }
+  Object.keys(rule.match || {}).forEach(assertIdentifier);
+  if (rule.clear !== undefined) {
+    if (!Array.isArray(rule.clear) || rule.clear.length === 0) {
+      throw new Error(`${name}: clear must be a list of columns`);
+    }
+    rule.clear.forEach(column => {
+      assertIdentifier(column);
+      if (column === 'timestamp' || column === ARCHIVE_TABLES[rule.table]) {
+        throw new Error(`${name}: cannot clear ${column}`);
+      }
+    });
+  }
+  return rule;
+}
+
+function matchWhere(match = {}) {
+  return Object.entries(match).map(([column, value]) => matches(column, value));
+}
+
+/**
+ * Where list selecting the rows a rule prunes
+ *
+ * @param {object} rule - Retention rule
+ * @param {array} rules - All rules (a rule without `match` leaves the rows of the others alone)
+ * @param {Date} now - Current time
+ * @returns {array} Where list
+ */
+function ruleWhere(rule, rules, now = new Date()) {
+  const cutoff = new Date(now.getTime() - rule.days * DAY_MS).toISOString();
+  const where = [lt('timestamp', cutoff), ...matchWhere(rule.match)];
+
+  if (rule.clear) {
+    // Skip rows that were already cleared, so each run only touches new ones
+    where.push(not(...rule.clear.map(column => eq(column, null))));
+  } else if (Object.keys(rule.match || {}).length === 0) {
+    rules
+      .filter(other => other !== rule && other.table === rule.table && !other.clear &&
+        Object.keys(other.match || {}).length > 0)
+      .forEach(other => where.push(not(...matchWhere(other.match))));
+  }
+
+  return where;
+}
+
+async function countRows(storage, table, where) {
+  const { data, error } = await storage.aggregate(table, { where, metrics: { rows: { fn: 'count' } } });
+  return { rows: data && data[0] ? Number(data[0].rows) : 0, error };
+}
+
+function archiveDirFor(archiveDir, rule, index, now) {
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  return path.join(archiveDir, `${stamp}-${rule.table}-rule-${index + 1}`);
+}
+
+/**
+ * Apply one rule: count, archive, then delete or clear
+ */
+async function applyRule(storage, rule, index, { rules, now, dryRun, archiveDir }) {
+  const where = ruleWhere(rule, rules, now);
+  const result = {
+    rule: index + 1,
+    table: rule.table,
+    action: rule.clear ? 'clear' : 'delete',
+    rows: 0,
+    pruned: 0,
+    archive: null,
+    error: null
+  };
+
+  const counted = await countRows(storage, rule.table, where);
+  if (counted.error) {
+    return { ...result, error: counted.error };
+  }
+  result.rows = counted.rows;
+
+  if (dryRun || result.rows === 0) {
+    return result;
+  }
+
+  if (archiveDir) {
+    try {
+      result.archive = archiveDirFor(archiveDir, rule, index, now);
+      await archiveLogs({ dir: result.archive, where, tables: [rule.table], storage });
+    } catch (err) {
+      // Never delete what could not be archived
+      return { ...result, error: err };
+    }
+  }
+
+  const { data, error } = rule.clear
+    ? await storage.update(rule.table, where, Object.fromEntries(rule.clear.map(column => [column, null])))
+    : await storage.delete(rule.table, where);
+  if (error) {
+    return { ...result, error };
+  }
+
+  result.pruned = data ? data.length : 0;
+  return result;
+}
+
+/**
+ * Enforce the retention rules once
+ *
+ * @param {object} options
+ * @param {array} options.rules - Retention rules (default: retention.rules from the config)
+ * @param {boolean} options.dryRun - Only count the rows each rule would prune
+ * @param {string} options.archiveDir - Archive rows here before pruning (default: retention.archiveDir)
+ * @param {object} options.storage - Storage adapter (default: active storage)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {object} { dryRun, results: [{ rule, table, action, rows, pruned, archive, error }] }
+ */
+async function pruneLogs({
+  rules = getConfig().retention.rules,
+  dryRun = false,
+  archiveDir = getConfig().retention.archiveDir,
+  storage = getStorage(),
+  now = new Date()
+} = {}) {
+  rules.forEach(assertRetentionRule);
+  const results = [];
+
+  for (const [index, rule] of rules.entries()) {
+    const result = await applyRule(storage, rule, index, { rules, now, dryRun, archiveDir });
+    if (result.error) {
+      console.warn(`Log Retention warning: rule ${index + 1} (${rule.table}) failed:`, result.error.message);
+    }
+    results.push(result);
+  }
+
+  return { dryRun, results };
+}
+
+/**
+ * Run pruneLogs() on a fixed interval. The timer does not keep the process alive.
+ *
+ * @param {object} options - pruneLogs() options, plus:
+ * @param {number} options.intervalMs - Time between runs (default: 24 hours)
+ * @param {boolean} options.runNow - Also run once right away (default: true)
+ * @param {function} options.onResult - Called with each run's result (optional)
+ * @returns {function} stop()
+ */
+function startRetentionSchedule({ intervalMs = DEFAULT_INTERVAL_MS, runNow = true, onResult = null, ...options } = {}) {
+  let running = false;
+
+  const run = async () => {
+    // A slow run is not overlapped by the next one
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const result = await pruneLogs(options);
+      if (onResult) {
+        onResult(result);
+      }
+    } catch (err) {
+      console.warn('Log Retention error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  if (runNow) {
+    run();
+  }
+
+  return function stop() {
+    clearInterval(timer);
+  };
+}
+
+function describeRule(rule) {
+  const match = Object.entries(rule.match || {})
+    .map(([column, value]) => `${column}=${Array.isArray(value) ? value.join('|') : value}`)
+    .join(' ');
+  const what = rule.clear ? `clear ${rule.clear.join(', ')}` : 'delete';
+  return `${rule.table}${match ? ` [${match}]` : ''} older than ${rule.days}d: ${what}`;
+}
+
+async function main(argv) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      'archive-dir': { type: 'string' }
+    }
+  });
+
+  const rules = getConfig().retention.rules;
+  if (rules.length === 0) {
+    console.log('No retention rules configured (retention.rules in the config file)');
+    return 0;
+  }
+
+  try {
+    const { results } = await pruneLogs({
+      rules,
+      dryRun: options['dry-run'],
+      archiveDir: options['archive-dir'] || getConfig().retention.archiveDir
+    });
+
+    results.forEach(result => {
+      const rule = describeRule(rules[result.rule - 1]);
+      if (result.error) {
+        console.log(`❌ ${rule} - ${result.error.message}`);
+      } else if (options['dry-run']) {
+        console.log(`${rule} - ${result.rows} row(s) would be pruned`);
+      } else {
+        console.log(`✅ ${rule} - ${result.pruned} row(s) pruned${result.archive ? `, archived to ${result.archive}` : ''}`);
+      }
+    });
+    return results.some(result => result.error) ? 1 : 0;
+  } finally {
+    await getStorage().close();
+  }
+}
+
+module.exports = {
+  assertRetentionRule,
+  ruleWhere,
+  pruneLogs,
+  startRetentionSchedule
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
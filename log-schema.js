@@ -0,0 +1,361 @@
+/**
+ * Log Schema - Canonical record model for agent_communications
+ * For JARVIS multi-agent system
+ *
+ * Every module that writes or reads agent_communications goes through this
+ * mapping, so there is exactly one set of column names:
+ *
+ *   Record field     Column
+ *   messageId        message_id
+ *   timestamp        timestamp
+ *   from             source_agent
+ *   to               target_agent
+ *   conversationId   conversation_id
+ *   messageType      message_type
+ *   status           status
+ *   payload          payload         (object, the message text lives in payload.message)
+ *   result           result
+ *   durationMs       duration_ms
+ *   errorMessage     error_message
+ *   context          context         (string or object)
+ *   metadata         metadata        (object)
+ *   tags             tags            (array of strings)
+ *   updatedAt        updated_at
+ *   traceId          trace_id        (32 hex chars, see trace-context.js)
+ *   spanId           span_id         (16 hex chars)
+ *   parentSpanId     parent_span_id  (16 hex chars)
+ *   inReplyTo        in_reply_to     (message_id of the request a response answers)
+ *   redacted         redacted        (boolean, set by redaction.js)
+ *
+ * Usage:
+ *   const { toAgentCommunicationRow, agentCommunicationColumn } = require('./log-schema');
+ *
+ *   const row = toAgentCommunicationRow({ messageId, from, to, ... }); // throws SchemaValidationError
+ *   where.push(eq(agentCommunicationColumn('from'), 'agent-01-infrastructure'));
+ */
+
+const { matches, contains, search, timeWindow } = require('./storage/filters');
+
+const AGENT_COMMUNICATION_FIELDS = {
+  messageId: 'message_id',
+  timestamp: 'timestamp',
+  from: 'source_agent',
+  to: 'target_agent',
+  conversationId: 'conversation_id',
+  messageType: 'message_type',
+  status: 'status',
+  payload: 'payload',
+  result: 'result',
+  durationMs: 'duration_ms',
+  errorMessage: 'error_message',
+  context: 'context',
+  metadata: 'metadata',
+  tags: 'tags',
+  updatedAt: 'updated_at',
+  traceId: 'trace_id',
+  spanId: 'span_id',
+  parentSpanId: 'parent_span_id',
+  inReplyTo: 'in_reply_to',
+  redacted: 'redacted'
+};
+
+const MESSAGE_STATUSES = ['sent', 'received', 'processing', 'processed', 'error', 'timeout'];
+
+// Message lifecycle: sent -> received -> processing -> processed, with error
+// and timeout possible from any open status. processed/error/timeout are final.
+// The one exception is an answered request, see assertStatusTransition().
+const MESSAGE_STATUS_TRANSITIONS = {
+  sent: ['received', 'error', 'timeout'],
+  received: ['processing', 'error', 'timeout'],
+  processing: ['processed', 'error', 'timeout'],
+  processed: [],
+  error: [],
+  timeout: []
+};
+
+// Message types that expect a 'response' message in reply
+const REQUEST_MESSAGE_TYPES = ['request', 'delegation'];
+
+// Statuses a message can be logged with (the receiver logs it as 'received')
+const INITIAL_MESSAGE_STATUSES = ['sent', 'received'];
+
+// Columns written by older versions of agent-logger.js, mapped to the canonical column.
+// Queries and aggregates only use the canonical columns; migration 0006 copies
+// the legacy values over in existing databases.
+const LEGACY_COLUMNS = {
+  from_agent: 'source_agent',
+  to_agent: 'target_agent'
+};
+
+const REQUIRED_FIELDS = ['messageId', 'timestamp', 'from', 'to', 'messageType', 'status'];
+
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid agent communication record: ${errors.join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+class StatusTransitionError extends Error {
+  constructor(from, to) {
+    const allowed = MESSAGE_STATUS_TRANSITIONS[from];
+    super(allowed
+      ? `Invalid status transition ${from} -> ${to} (allowed: ${allowed.join(', ') || 'none, status is final'})`
+      : `Invalid status transition ${from} -> ${to} (unknown status ${from})`);
+    this.name = 'StatusTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validate a canonical agent communication record
+ *
+ * @param {object} record - Record using the canonical field names
+ * @param {object} options
+ * @param {boolean} options.partial - Only check the fields that are present (for updates)
+ * @returns {array} Error messages (empty when valid)
+ */
+function validateAgentCommunication(record, { partial = false } = {}) {
+  const errors = [];
+
+  if (!isPlainObject(record)) {
+    return ['record must be an object'];
+  }
+
+  Object.keys(record).forEach(field => {
+    if (!AGENT_COMMUNICATION_FIELDS[field]) {
+      errors.push(`unknown field "${field}"`);
+    }
+  });
+
+  if (!partial) {
+    REQUIRED_FIELDS.forEach(field => {
+      if (isBlank(record[field])) {
+        errors.push(`"${field}" is required`);
+      }
+    });
+  }
+
+  ['messageId', 'from', 'to', 'conversationId', 'messageType', 'errorMessage', 'inReplyTo'].forEach(field => {
+    if (!isBlank(record[field]) && typeof record[field] !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    }
+  });
+
+  ['timestamp', 'updatedAt'].forEach(field => {
+    if (!isBlank(record[field]) && Number.isNaN(Date.parse(record[field]))) {
+      errors.push(`"${field}" must be an ISO timestamp`);
+    }
+  });
+
+  [['traceId', 32], ['spanId', 16], ['parentSpanId', 16]].forEach(([field, length]) => {
+    if (!isBlank(record[field]) && !new RegExp(`^[0-9a-f]{${length}}$`).test(record[field])) {
+      errors.push(`"${field}" must be ${length} lowercase hex characters`);
+    }
+  });
+
+  if (!isBlank(record.status) && !MESSAGE_STATUSES.includes(record.status)) {
+    errors.push(`"status" must be one of ${MESSAGE_STATUSES.join(', ')}`);
+  }
+
+  if (!isBlank(record.context) && typeof record.context !== 'string' && !isPlainObject(record.context)) {
+    errors.push('"context" must be a string or an object');
+  }
+
+  ['payload', 'metadata'].forEach(field => {
+    if (!isBlank(record[field]) && !isPlainObject(record[field])) {
+      errors.push(`"${field}" must be an object`);
+    }
+  });
+
+  if (record.redacted !== undefined && typeof record.redacted !== 'boolean') {
+    errors.push('"redacted" must be a boolean');
+  }
+
+  if (!isBlank(record.durationMs) && (typeof record.durationMs !== 'number' || record.durationMs < 0)) {
+    errors.push('"durationMs" must be a non-negative number');
+  }
+
+  if (record.tags !== undefined && (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string'))) {
+    errors.push('"tags" must be an array of strings');
+  }
+
+  return errors;
+}
+
+/**
+ * Throw unless a message may move from one status to another
+ *
+ * A request that already has a response may skip the remaining steps and be
+ * closed as processed from any open status. Only the response pairing
+ * (logAgentMessage, message-sla.js) passes `answered`.
+ *
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @param {object} options
+ * @param {boolean} options.answered - The message is a request a response answers
+ * @throws {StatusTransitionError} When the lifecycle does not allow it
+ */
+function assertStatusTransition(from, to, { answered = false } = {}) {
+  const allowed = MESSAGE_STATUS_TRANSITIONS[from] || [];
+  if (answered && to === 'processed' && allowed.length > 0) {
+    return;
+  }
+  if (!allowed.includes(to)) {
+    throw new StatusTransitionError(from, to);
+  }
+}
+
+/**
+ * Map a canonical record to an agent_communications row
+ *
+ * @param {object} record - Record using the canonical field names
+ * @param {object} options
+ * @param {boolean} options.partial - Map only the fields that are present (for updates)
+ * @returns {object} Row keyed by column name
+ * @throws {SchemaValidationError} When the record does not match the model
+ */
+function toAgentCommunicationRow(record, { partial = false } = {}) {
+  const errors = validateAgentCommunication(record, { partial });
+  if (errors.length > 0) {
+    throw new SchemaValidationError(errors);
+  }
+
+  const row = {};
+  Object.entries(record).forEach(([field, value]) => {
+    if (value !== undefined) {
+      row[AGENT_COMMUNICATION_FIELDS[field]] = value;
+    }
+  });
+  return row;
+}
+
+/**
+ * Rename legacy columns (from_agent, to_agent, message) to the canonical ones
+ *
+ * @param {object} row - agent_communications row as stored
+ * @returns {object} Row with canonical column names
+ */
+function normalizeAgentCommunicationRow(row) {
+  const normalized = { ...row };
+
+  Object.entries(LEGACY_COLUMNS).forEach(([legacy, column]) => {
+    if (legacy in normalized) {
+      if (isBlank(normalized[column])) {
+        normalized[column] = normalized[legacy];
+      }
+      delete normalized[legacy];
+    }
+  });
+
+  if ('message' in normalized) {
+    if (!isPlainObject(normalized.payload)) {
+      normalized.payload = { message: normalized.message };
+    }
+    delete normalized.message;
+  }
+
+  return normalized;
+}
+
+/**
+ * Map an agent_communications row to a canonical record
+ *
+ * @param {object} row - Row as returned by the storage adapter
+ * @returns {object} Record using the canonical field names
+ */
+function fromAgentCommunicationRow(row) {
+  const normalized = normalizeAgentCommunicationRow(row);
+  const record = {};
+
+  Object.entries(AGENT_COMMUNICATION_FIELDS).forEach(([field, column]) => {
+    if (column in normalized) {
+      record[field] = normalized[column];
+    }
+  });
+  return record;
+}
+
+/**
+ * Get the column name for a canonical field (for filters and ordering)
+ *
+ * @param {string} field - Canonical field name, e.g. 'from'
+ * @returns {string} Column name, e.g. 'source_agent'
+ */
+function agentCommunicationColumn(field) {
+  const column = AGENT_COMMUNICATION_FIELDS[field];
+  if (!column) {
+    throw new Error(`Unknown agent communication field: ${field}`);
+  }
+  return column;
+}
+
+// Keyset order for listing messages, newest first (message_id breaks ties)
+const AGENT_COMMUNICATION_ORDER = [
+  { column: 'timestamp', ascending: false },
+  { column: 'message_id', ascending: false }
+];
+
+/**
+ * Build a where list from query filters on canonical fields
+ *
+ * @param {object} filters
+ * @param {string|array} filters.from - Sender agent(s)
+ * @param {string|array} filters.to - Receiver agent(s)
+ * @param {string|array} filters.messageType - Message type(s)
+ * @param {string|array} filters.status - Status(es)
+ * @param {string} filters.conversationId - Conversation
+ * @param {string|array} filters.inReplyTo - Responses to these request message IDs
+ * @param {array} filters.tags - Tags that must all be present
+ * @param {string} filters.search - Words that must all occur in the message text (payload.message)
+ * @param {string|Date} filters.since - Timestamp lower bound, inclusive
+ * @param {string|Date} filters.until - Timestamp upper bound, exclusive
+ * @returns {array} Where list
+ */
+function agentCommunicationWhere(filters = {}) {
+  const where = timeWindow(agentCommunicationColumn('timestamp'), filters);
+
+  ['from', 'to', 'messageType', 'status', 'conversationId', 'inReplyTo'].forEach(field => {
+    if (filters[field]) {
+      where.push(matches(agentCommunicationColumn(field), filters[field]));
+    }
+  });
+
+  if (filters.tags && filters.tags.length > 0) {
+    where.push(contains(agentCommunicationColumn('tags'), [].concat(filters.tags)));
+  }
+
+  if (filters.search) {
+    where.push(search(agentCommunicationColumn('payload'), filters.search, ['message']));
+  }
+
+  return where;
+}
+
+module.exports = {
+  AGENT_COMMUNICATION_FIELDS,
+  AGENT_COMMUNICATION_ORDER,
+  MESSAGE_STATUSES,
+  MESSAGE_STATUS_TRANSITIONS,
+  INITIAL_MESSAGE_STATUSES,
+  REQUEST_MESSAGE_TYPES,
+  SchemaValidationError,
+  StatusTransitionError,
+  validateAgentCommunication,
+  assertStatusTransition,
+  toAgentCommunicationRow,
+  fromAgentCommunicationRow,
+  normalizeAgentCommunicationRow,
+  agentCommunicationColumn,
+  agentCommunicationWhere
+};
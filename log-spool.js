@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Log Spool - Durable local copy of log writes the backend rejected
+ * For JARVIS multi-agent system
+ *
+ * When an insert or update fails (backend down, network error), the log writer
+ * appends the operation to a JSONL spool file instead of dropping it. Replaying
+ * re-sends the operations in their original order. Inserts are replayed as
+ * upserts that ignore rows already present (keyed on message_id / id), so a
+ * replay can safely be repeated.
+ *
+ * Spool file: log.spoolPath in config.js / JARVIS_LOG_SPOOL_PATH
+ * (default ~/.jarvis/log-spool.jsonl). Disable spooling with log.spool: false
+ * (JARVIS_LOG_SPOOL=0).
+ *
+ * Usage:
+ *   node log-spool.js status             # how many operations are waiting
+ *   node log-spool.js replay             # re-send them to the configured backend
+ *   node log-spool.js replay --path f    # use another spool file
+ *
+ *   const { replaySpool } = require('./log-spool');
+ *   const { replayed, remaining } = await replaySpool();
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage } = require('./storage');
+const { getConfig } = require('./config');
+
+// Column that identifies a row when an insert is replayed
+const SPOOL_KEYS = {
+  agent_communications: 'message_id',
+  mcp_tool_calls: 'id'
+};
+
+function defaultSpoolPath() {
+  return getConfig().log.spoolPath || path.join(os.homedir(), '.jarvis', 'log-spool.jsonl');
+}
+
+function isSpoolEnabled() {
+  return getConfig().log.spool !== false;
+}
+
+/**
+ * Append a failed operation to the spool.
+ * Synchronous on purpose so it also works from a process 'exit' handler.
+ *
+ * @param {object} operation
+ * @param {string} operation.op - 'insert' or 'update'
+ * @param {string} operation.table - Table name
+ * @param {array} operation.rows - Rows to insert (op: 'insert')
+ * @param {array} operation.where - Where list (op: 'update')
+ * @param {object} operation.changes - Columns to set (op: 'update')
+ * @param {string} operation.reason - Why the write failed
+ * @param {string} spoolPath - Spool file (optional)
+ * @returns {boolean} true if the operation was spooled
+ */
+function spoolOperation(operation, spoolPath = defaultSpoolPath()) {
+  if (!isSpoolEnabled()) {
+    return false;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(spoolPath), { recursive: true });
+    const entry = { ...operation, spooled_at: new Date().toISOString() };
+    fs.appendFileSync(spoolPath, JSON.stringify(entry) + '\n');
+    return true;
+  } catch (err) {
+    console.warn('Log Spool error:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Read all spooled operations in order
+ *
+ * @param {string} spoolPath - Spool file (optional)
+ * @returns {array} Operations
+ */
+function readSpool(spoolPath = defaultSpoolPath()) {
+  if (!fs.existsSync(spoolPath)) {
+    return [];
+  }
+
+  return fs.readFileSync(spoolPath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        console.warn(`Log Spool warning: skipping unreadable line ${index + 1}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Replace the spool with the operations that are still pending, keeping
+ * anything that was appended while the replay was running.
+ */
+function rewriteSpool(spoolPath, pending, replayedLines) {
+  const current = fs.existsSync(spoolPath) ? fs.readFileSync(spoolPath, 'utf8') : '';
+  const appended = current.split('\n').slice(replayedLines).filter(line => line.trim() !== '');
+  const lines = [...pending.map(entry => JSON.stringify(entry)), ...appended];
+
+  if (lines.length === 0) {
+    fs.rmSync(spoolPath, { force: true });
+    return;
+  }
+
+  const tmpPath = `${spoolPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, lines.join('\n') + '\n');
+  fs.renameSync(tmpPath, spoolPath);
+}
+
+async function replayOperation(storage, entry) {
+  switch (entry.op) {
+    case 'insert':
+      // Rows spooled before every row carried `redacted` would send NULL for it
+      return storage.upsert(entry.table, entry.rows.map(row => ({ ...row, redacted: row.redacted === true })), {
+        onConflict: SPOOL_KEYS[entry.table] || 'id',
+        ignoreDuplicates: true
+      });
+    case 'update':
+      return storage.update(entry.table, entry.where, entry.changes);
+    default:
+      return { error: new Error(`Unknown spool operation: ${entry.op}`) };
+  }
+}
+
+/**
+ * Re-send spooled operations in order. Stops at the first failure so later
+ * updates are never applied before the inserts they depend on.
+ *
+ * @param {object} options
+ * @param {string} options.spoolPath - Spool file (optional)
+ * @param {object} options.storage - Storage adapter (default: active storage)
+ * @param {boolean} options.dryRun - Only report what would be replayed
+ * @returns {object} { replayed, remaining, error }
+ */
+async function replaySpool({ spoolPath = defaultSpoolPath(), storage = getStorage(), dryRun = false } = {}) {
+  const lineCount = fs.existsSync(spoolPath)
+    ? fs.readFileSync(spoolPath, 'utf8').split('\n').length - 1
+    : 0;
+  const entries = readSpool(spoolPath);
+
+  if (dryRun || entries.length === 0) {
+    return { replayed: 0, remaining: entries.length, error: null };
+  }
+
+  let replayed = 0;
+  let failure = null;
+
+  for (const entry of entries) {
+    const { error } = await replayOperation(storage, entry);
+    if (error) {
+      failure = error;
+      break;
+    }
+    replayed++;
+  }
+
+  const pending = entries.slice(replayed);
+  rewriteSpool(spoolPath, pending, lineCount);
+
+  if (failure) {
+    console.warn(`Log Spool warning: replay stopped after ${replayed} operation(s):`, failure.message);
+  }
+
+  return { replayed, remaining: pending.length, error: failure };
+}
+
+async function main(argv) {
+  const [command = 'status', ...rest] = argv;
+  const pathIndex = rest.indexOf('--path');
+  const spoolPath = pathIndex >= 0 ? rest[pathIndex + 1] : defaultSpoolPath();
+
+  switch (command) {
+    case 'status': {
+      const entries = readSpool(spoolPath);
+      console.log(`${entries.length} spooled operation(s) in ${spoolPath}`);
+      if (entries.length > 0) {
+        console.log(`Oldest: ${entries[0].spooled_at}  Newest: ${entries[entries.length - 1].spooled_at}`);
+      }
+      return 0;
+    }
+    case 'replay': {
+      const { replayed, remaining } = await replaySpool({ spoolPath });
+      console.log(`✅ Replayed ${replayed} operation(s), ${remaining} remaining`);
+      return remaining > 0 ? 1 : 0;
+    }
+    default:
+      console.error(`Unknown command: ${command} (expected status or replay)`);
+      return 2;
+  }
+}
+
+module.exports = {
+  SPOOL_KEYS,
+  defaultSpoolPath,
+  spoolOperation,
+  readSpool,
+  replaySpool
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,368 @@
+/**
+ * Log Writer - Write path for agent and MCP log records
+ * For JARVIS multi-agent system
+ *
+ * By default every record is inserted as soon as it is logged. Buffering is
+ * opt-in: records are then queued in memory and flushed as one bulk insert per
+ * table when the batch is full or the flush interval elapses, and once more
+ * when the process exits or receives SIGTERM/SIGINT.
+ *
+ * Writes the backend rejects are appended to the local spool (see
+ * log-spool.js) so they can be replayed later instead of being lost.
+ *
+ * Every record is redacted first (see redaction.js), so secrets never reach
+ * storage, the spool or a sink.
+ *
+ * Sinks (otel-exporter.js, loki-sink.js) see every insert and update as well. They
+ * can run next to the storage backend or, with setStorageWrites(false),
+ * instead of it.
+ *
+ * Enable it with log.buffer in config.js - JARVIS_LOG_BUFFER=1 (log.batchSize /
+ * JARVIS_LOG_BATCH_SIZE, log.flushMs / JARVIS_LOG_FLUSH_MS) - or from code:
+ *   const { enableBuffering, flush, close } = require('./log-writer');
+ *
+ *   enableBuffering({ maxBatchSize: 200, flushIntervalMs: 2000 });
+ *   ...
+ *   await flush();   // push everything queued so far
+ *   await close();   // flush and stop buffering
+ */
+
+const { getStorage } = require('./storage');
+const { spoolOperation } = require('./log-spool');
+const { redactRecord } = require('./redaction');
+const { getConfig } = require('./config');
+
+/**
+ * Keep a failed insert in the spool, warning about it either way
+ */
+function spoolInsert(table, rows, error) {
+  const spooled = spoolOperation({ op: 'insert', table, rows, reason: error.message });
+  console.warn(
+    `Log Writer warning: ${spooled ? 'spooled' : 'dropped'} ${rows.length} ${table} record(s):`,
+    error.message
+  );
+}
+
+/**
+ * Create a buffered writer
+ *
+ * @param {object} options
+ * @param {number} options.maxBatchSize - Flush once this many records are queued (default: 100)
+ * @param {number} options.flushIntervalMs - Flush at least this often (default: 1000)
+ * @param {function} options.getStorage - Storage getter (default: active storage)
+ * @returns {object} { add, flush, close, size }
+ */
+function createBufferedWriter({
+  maxBatchSize = 100,
+  flushIntervalMs = 1000,
+  getStorage: storageGetter = getStorage
+} = {}) {
+  let queue = [];
+  let flushing = Promise.resolve();
+  let closed = false;
+
+  const timer = setInterval(() => {
+    flush().catch(err => console.warn('Log Writer error:', err.message));
+  }, flushIntervalMs);
+  timer.unref();
+
+  async function writeBatch(batch) {
+    const byTable = new Map();
+    batch.forEach(({ table, row }) => {
+      if (!byTable.has(table)) {
+        byTable.set(table, []);
+      }
+      byTable.get(table).push(row);
+    });
+
+    for (const [table, rows] of byTable) {
+      const { error } = await storageGetter().insert(table, rows, { returning: false });
+      if (error) {
+        spoolInsert(table, rows, error);
+      }
+    }
+  }
+
+  /**
+   * Write everything queued so far. Flushes run one after another.
+   */
+  function flush() {
+    flushing = flushing.catch(() => {}).then(() => {
+      if (queue.length === 0) {
+        return;
+      }
+      const batch = queue;
+      queue = [];
+      return writeBatch(batch);
+    });
+    return flushing;
+  }
+
+  function add(table, row) {
+    if (closed) {
+      throw new Error('Buffered writer is closed');
+    }
+    queue.push({ table, row });
+    if (queue.length >= maxBatchSize) {
+      flush().catch(err => console.warn('Log Writer error:', err.message));
+    }
+  }
+
+  async function close() {
+    closed = true;
+    clearInterval(timer);
+    await flush();
+  }
+
+  return {
+    add,
+    flush,
+    close,
+    get size() {
+      return queue.length;
+    },
+    // Take the queued records without writing them (for the exit handler)
+    drain() {
+      const pending = queue;
+      queue = [];
+      return pending;
+    }
+  };
+}
+
+let buffer = null;
+let exitHandlers = null;
+let storageWrites = true;
+const sinks = new Set();
+
+/**
+ * Pass a write to every sink. Sink failures never affect the write itself.
+ */
+function notifySinks(event) {
+  sinks.forEach(sink => {
+    try {
+      const pending = sink.handle(event);
+      if (pending && typeof pending.catch === 'function') {
+        pending.catch(err => console.warn(`Log Writer warning: sink ${sink.name} failed:`, err.message));
+      }
+    } catch (err) {
+      console.warn(`Log Writer warning: sink ${sink.name} failed:`, err.message);
+    }
+  });
+}
+
+/**
+ * Register a sink that receives every log write
+ *
+ * Sinks are objects with:
+ *   name                 - Used in warnings
+ *   handle(event)        - { op: 'insert', table, row } or { op: 'update', table, where, changes }
+ *   flush() / close()    - Optional, called by flush() / close()
+ *
+ * @param {object} sink - Sink to add
+ * @returns {function} Function that removes the sink again
+ */
+function addLogSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+/**
+ * Turn writes to the storage backend on or off (sinks still receive them)
+ *
+ * @param {boolean} enabled
+ */
+function setStorageWrites(enabled) {
+  storageWrites = Boolean(enabled);
+}
+
+function isStorageWriteEnabled() {
+  return storageWrites;
+}
+
+function installExitHandlers() {
+  const onBeforeExit = () => {
+    if (buffer && buffer.size > 0) {
+      flushBuffer().catch(err => console.warn('Log Writer error:', err.message));
+    }
+  };
+
+  // No async work is possible here, so whatever is still queued goes to the spool
+  const onExit = () => {
+    if (buffer && buffer.size > 0) {
+      const pending = buffer.drain();
+      const tables = [...new Set(pending.map(({ table }) => table))];
+      tables.forEach(table => {
+        const rows = pending.filter(entry => entry.table === table).map(({ row }) => row);
+        spoolInsert(table, rows, new Error('process exited before flush'));
+      });
+    }
+  };
+
+  const onSignal = signal => {
+    // When the app handles the signal itself, it decides whether to exit
+    const appHandles = process.listenerCount(signal) > 1;
+    flush()
+      .catch(err => console.warn('Log Writer error:', err.message))
+      .finally(() => {
+        if (!appHandles) {
+          removeExitHandlers();
+          // Re-raise so the default handler still runs
+          process.kill(process.pid, signal);
+        }
+      });
+  };
+
+  exitHandlers = { beforeExit: onBeforeExit, exit: onExit, SIGTERM: onSignal, SIGINT: onSignal };
+  Object.entries(exitHandlers).forEach(([event, handler]) => process.on(event, handler));
+}
+
+function removeExitHandlers() {
+  if (exitHandlers) {
+    Object.entries(exitHandlers).forEach(([event, handler]) => process.removeListener(event, handler));
+    exitHandlers = null;
+  }
+}
+
+/**
+ * Turn on buffered writes for all loggers
+ *
+ * @param {object} options - Same as createBufferedWriter
+ * @returns {object} The buffered writer
+ */
+function enableBuffering(options = {}) {
+  if (!buffer) {
+    buffer = createBufferedWriter(options);
+    installExitHandlers();
+  }
+  return buffer;
+}
+
+/**
+ * Write a log record (queued when buffering is enabled)
+ *
+ * @param {string} table - Table name
+ * @param {object} row - Row to insert
+ * @returns {object} { error }
+ */
+async function writeLogRecord(table, row) {
+  row = redactRecord(table, row).row;
+  // Every row carries `redacted`, so a batch insert never sends NULL for rows missing it
+  row = { ...row, redacted: row.redacted === true };
+  notifySinks({ op: 'insert', table, row });
+
+  if (!storageWrites) {
+    return { error: null };
+  }
+
+  if (buffer) {
+    buffer.add(table, row);
+    return { error: null };
+  }
+
+  const { error } = await getStorage().insert(table, row, { returning: false });
+  if (error) {
+    spoolInsert(table, [row], error);
+  }
+  return { error };
+}
+
+/**
+ * Update log records. Queued records are flushed first so the update sees them.
+ *
+ * @param {string} table - Table name
+ * @param {array} where - Where list (see storage/filters.js)
+ * @param {object} changes - Columns to set
+ * @param {object} redactionContext - { mcpServer, toolName } for per-tool redaction policies
+ * @returns {object} { data, error }
+ */
+async function updateLogRecords(table, where, changes, redactionContext = {}) {
+  changes = redactRecord(table, changes, redactionContext).row;
+  notifySinks({ op: 'update', table, where, changes });
+
+  if (!storageWrites) {
+    return { data: [], error: null };
+  }
+
+  await flushBuffer();
+  const result = await getStorage().update(table, where, changes);
+  if (result.error) {
+    const spooled = spoolOperation({ op: 'update', table, where, changes, reason: result.error.message });
+    console.warn(`Log Writer warning: ${spooled ? 'spooled' : 'dropped'} ${table} update:`, result.error.message);
+  }
+  return result;
+}
+
+async function eachSink(method) {
+  for (const sink of sinks) {
+    if (typeof sink[method] === 'function') {
+      try {
+        await sink[method]();
+      } catch (err) {
+        console.warn(`Log Writer warning: sink ${sink.name} ${method} failed:`, err.message);
+      }
+    }
+  }
+}
+
+/**
+ * Write queued records to storage (no-op when buffering is off)
+ */
+async function flushBuffer() {
+  if (buffer) {
+    await buffer.flush();
+  }
+}
+
+/**
+ * Flush queued records and everything the sinks are holding
+ */
+async function flush() {
+  await flushBuffer();
+  await eachSink('flush');
+}
+
+/**
+ * Flush queued records, turn buffering off and close all sinks
+ */
+async function close() {
+  if (buffer) {
+    const closing = buffer;
+    buffer = null;
+    removeExitHandlers();
+    await closing.close();
+  }
+  await eachSink('close');
+  sinks.clear();
+}
+
+if (getConfig().log.buffer === true) {
+  enableBuffering({
+    maxBatchSize: getConfig().log.batchSize || undefined,
+    flushIntervalMs: getConfig().log.flushMs || undefined
+  });
+}
+
+module.exports = {
+  createBufferedWriter,
+  enableBuffering,
+  addLogSink,
+  setStorageWrites,
+  isStorageWriteEnabled,
+  writeLogRecord,
+  updateLogRecords,
+  flushBuffer,
+  flush,
+  close
+};
+
+// Sinks configured in config.js (required late, they depend on this module)
+if (['on', 'only'].includes(getConfig().log.otel)) {
+  require('./otel-exporter').enableOtelExport({
+    replaceStorage: getConfig().log.otel === 'only'
+  });
+}
+
+if (getConfig().loki.url) {
+  require('./loki-sink').enableLokiSink();
+}
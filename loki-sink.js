@@ -0,0 +1,297 @@
+/**
+ * Loki Sink - Push agent and MCP log records to Grafana Loki
+ * For JARVIS multi-agent system
+ *
+ * Registers itself as a log sink (see log-writer.js), so every record written
+ * by agent-logger.js, mcp-logger.js and logAgentCommunication() is pushed.
+ * Entries are batched per stream and retried with exponential backoff.
+ *
+ * Labels are kept low-cardinality: only a fixed set of columns become labels
+ * (agents, message type, MCP server/tool, status), each label keeps at most
+ * `maxLabelValues` distinct values (later ones are reported as "other"), and
+ * IDs such as message_id or conversation_id stay in the log line.
+ *
+ * Configuration (`loki` section of config.js, environment or enableLokiSink options):
+ *   LOKI_URL          - Base URL, e.g. http://loki:3100 (the sink is off without it)
+ *   LOKI_TENANT_ID    - Sent as X-Scope-OrgID
+ *   LOKI_USERNAME / LOKI_PASSWORD - Basic auth
+ *   LOKI_LABELS       - Static labels, "environment=production,cluster=k3s"
+ *
+ * Usage:
+ *   const { enableLokiSink } = require('./loki-sink');
+ *   enableLokiSink({ url: 'http://loki:3100', labels: { environment: 'staging' } });
+ */
+
+const { addLogSink } = require('./log-writer');
+const { getConfig, assertResolved } = require('./config');
+
+// Columns that may become labels, per table
+const STREAM_LABELS = {
+  agent_communications: {
+    job: 'agent-communication',
+    columns: ['source_agent', 'target_agent', 'message_type', 'status']
+  },
+  mcp_tool_calls: {
+    job: 'mcp-tool-call',
+    columns: ['mcp_server', 'tool_name', 'requesting_agent', 'status']
+  }
+};
+
+const OTHER_LABEL_VALUE = 'other';
+const MAX_LABEL_VALUE_LENGTH = 64;
+
+function sanitizeLabelName(name) {
+  const cleaned = String(name).replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[a-zA-Z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a Loki sink
+ *
+ * @param {object} options
+ * @param {string} options.url - Loki base URL (default: config loki.url)
+ * @param {string} options.tenantId - Tenant ID (default: config loki.tenantId)
+ * @param {string} options.username - Basic auth user (default: config loki.username)
+ * @param {string} options.password - Basic auth password (default: config loki.password)
+ * @param {object} options.labels - Static labels (default: config loki.labels)
+ * @param {number} options.maxLabelValues - Distinct values kept per dynamic label (default: 50)
+ * @param {number} options.maxBatchSize - Push once this many entries are queued (default: 500)
+ * @param {number} options.flushIntervalMs - Push at least this often (default: 2000)
+ * @param {number} options.maxRetries - Retries per push (default: 5)
+ * @param {number} options.retryBaseMs - First backoff delay, doubled every retry (default: 500)
+ * @returns {object} Log sink with handle(), send(), flush() and close()
+ */
+function createLokiSink({
+  url = getConfig().loki.url,
+  tenantId = getConfig().loki.tenantId,
+  username = getConfig().loki.username,
+  password = getConfig().loki.password,
+  labels = getConfig().loki.labels,
+  maxLabelValues = 50,
+  maxBatchSize = 500,
+  flushIntervalMs = 2000,
+  maxRetries = 5,
+  retryBaseMs = 500
+} = {}) {
+  if (!url) {
+    throw new Error('Loki URL is not configured (set LOKI_URL)');
+  }
+  assertResolved(password, 'loki.password');
+
+  const pushUrl = `${url.replace(/\/+$/, '')}/loki/api/v1/push`;
+  const staticLabels = {};
+  Object.entries(labels).forEach(([name, value]) => {
+    staticLabels[sanitizeLabelName(name)] = String(value);
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (tenantId) {
+    headers['X-Scope-OrgID'] = tenantId;
+  }
+  if (username) {
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+  }
+
+  const seenLabelValues = new Map();
+  let queue = [];
+  let sequence = 0;
+
+  const timer = setInterval(() => {
+    flush().catch(err => console.warn('Loki warning:', err.message));
+  }, flushIntervalMs);
+  timer.unref();
+
+  /**
+   * Cap the number of distinct values a label can take
+   */
+  function guardLabelValue(name, value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const text = String(value).slice(0, MAX_LABEL_VALUE_LENGTH);
+    if (!seenLabelValues.has(name)) {
+      seenLabelValues.set(name, new Set());
+    }
+    const seen = seenLabelValues.get(name);
+    if (seen.has(text)) {
+      return text;
+    }
+    if (seen.size >= maxLabelValues) {
+      return OTHER_LABEL_VALUE;
+    }
+    seen.add(text);
+    return text;
+  }
+
+  function streamLabels(table, record) {
+    const spec = STREAM_LABELS[table] || { job: table, columns: [] };
+    const stream = { ...staticLabels, job: spec.job };
+    spec.columns.forEach(column => {
+      const value = guardLabelValue(column, record[column]);
+      if (value !== null) {
+        stream[column] = value;
+      }
+    });
+    return stream;
+  }
+
+  function entry(table, record) {
+    const ms = Date.parse(record.timestamp) || Date.now();
+    // Loki rejects identical timestamps for different lines in one stream
+    const ns = BigInt(ms) * 1000000n + BigInt(sequence++ % 1000000);
+    return { stream: streamLabels(table, record), ns, line: JSON.stringify(record) };
+  }
+
+  function pushBody(entries) {
+    const streams = new Map();
+    entries.forEach(({ stream, ns, line }) => {
+      const key = JSON.stringify(stream);
+      if (!streams.has(key)) {
+        streams.set(key, { stream, values: [] });
+      }
+      streams.get(key).values.push([ns, line]);
+    });
+
+    return {
+      streams: [...streams.values()].map(({ stream, values }) => ({
+        stream,
+        values: values.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)).map(([ns, line]) => [String(ns), line])
+      }))
+    };
+  }
+
+  /**
+   * Push entries, retrying network errors, 429 and 5xx with exponential backoff
+   */
+  async function push(entries) {
+    const body = JSON.stringify(pushBody(entries));
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let failure;
+      try {
+        response = await fetch(pushUrl, { method: 'POST', headers, body });
+        if (response.ok) {
+          return;
+        }
+        failure = new Error(`Loki responded with ${response.status}`);
+      } catch (err) {
+        failure = err;
+      }
+
+      const retryable = !response || response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= maxRetries) {
+        throw failure;
+      }
+      const delay = retryBaseMs * 2 ** attempt;
+      await sleep(delay + Math.random() * delay * 0.2);
+    }
+  }
+
+  async function flush() {
+    if (queue.length === 0) {
+      return;
+    }
+    const batch = queue;
+    queue = [];
+    try {
+      await push(batch);
+    } catch (err) {
+      console.warn(`Loki warning: dropped ${batch.length} log entr${batch.length === 1 ? 'y' : 'ies'}:`, err.message);
+    }
+  }
+
+  function handle(event) {
+    const record = event.op === 'insert'
+      ? event.row
+      : { ...event.changes, event: 'update', where: event.where, timestamp: new Date().toISOString() };
+
+    queue.push(entry(event.table, record));
+    if (queue.length >= maxBatchSize) {
+      flush().catch(err => console.warn('Loki warning:', err.message));
+    }
+  }
+
+  /**
+   * Push a single record right away (throws when Loki cannot be reached)
+   */
+  async function send(table, record) {
+    await push([entry(table, record)]);
+  }
+
+  async function close() {
+    clearInterval(timer);
+    await flush();
+  }
+
+  return { name: 'loki', handle, send, flush, close };
+}
+
+let sink = null;
+let removeSink = null;
+let standalone = null;
+
+function onBeforeExit() {
+  if (sink) {
+    sink.flush().catch(err => console.warn('Loki warning:', err.message));
+  }
+}
+
+/**
+ * Start pushing all log writes to Loki
+ *
+ * @param {object} options - Same as createLokiSink
+ * @returns {object} The sink
+ */
+function enableLokiSink(options = {}) {
+  if (!sink) {
+    sink = createLokiSink(options);
+    removeSink = addLogSink(sink);
+    process.once('beforeExit', onBeforeExit);
+  }
+  return sink;
+}
+
+/**
+ * Stop pushing to Loki, flushing what is still queued
+ */
+async function disableLokiSink() {
+  if (sink) {
+    const closing = sink;
+    sink = null;
+    removeSink();
+    process.removeListener('beforeExit', onBeforeExit);
+    await closing.close();
+  }
+}
+
+function getLokiSink() {
+  return sink;
+}
+
+/**
+ * Push one record to Loki immediately, with retries
+ *
+ * @param {object} record - Log record (row as written to storage)
+ * @param {string} table - Table the record belongs to (default: agent_communications)
+ * @throws {Error} When Loki is not configured or cannot be reached
+ */
+async function sendToLoki(record, table = 'agent_communications') {
+  if (!sink && !standalone) {
+    standalone = createLokiSink();
+  }
+  await (sink || standalone).send(table, record);
+}
+
+module.exports = {
+  STREAM_LABELS,
+  createLokiSink,
+  enableLokiSink,
+  disableLokiSink,
+  getLokiSink,
+  sendToLoki
+};
@@ -0,0 +1,160 @@
+/**
+ * MCP Instrument - Log MCP tool calls by wrapping the tool handlers
+ * For JARVIS multi-agent system
+ *
+ * A wrapped handler logs the call before it runs and always completes it
+ * afterwards - with the result, or with the error it threw - so no row is left
+ * 'running'. The duration is measured in-process with a monotonic clock.
+ * Inputs and outputs go through the log writer, which redacts them; the
+ * caller still gets the handler's own, unredacted result.
+ *
+ * The handler runs inside the call's trace context: agent messages and tool
+ * calls it logs become children of the call and share its conversation.
+ * Context from the calling agent is read from the request's `_meta`
+ * ({ traceparent, conversationId, messageId, requestingAgent }), or from
+ * a `context` function.
+ *
+ * Usage:
+ *   const { instrumentTool, instrumentServer } = require('./mcp-instrument');
+ *
+ *   // One handler:
+ *   const kvGet = instrumentTool('vault', 'kv-get', async ({ path }) => readSecret(path));
+ *
+ *   // Every tool registered on an MCP SDK server from now on:
+ *   const server = instrumentServer(new McpServer({ name: 'vault', version: '1.0.0' }));
+ *   server.tool('kv-get', schema, async ({ path }) => ...);
+ */
+
+const { logMCPToolCall, completeMCPToolCall, getCallContext } = require('./mcp-logger');
+const { runWithTraceContext } = require('./trace-context');
+
+/**
+ * Default call context: the `_meta` of the MCP request (SDK handlers get it in
+ * their last argument, plain handlers in their params)
+ */
+function contextFromMeta(params, extra) {
+  const meta = (extra && extra._meta) || (params && params._meta) || {};
+  return {
+    requestingAgent: meta.requestingAgent,
+    conversationId: meta.conversationId,
+    messageId: meta.messageId,
+    traceparent: meta.traceparent
+  };
+}
+
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+}
+
+/**
+ * Error message of an MCP result flagged with isError, from its text content
+ */
+function resultErrorMessage(result) {
+  const text = Array.isArray(result.content)
+    ? result.content.filter(item => item && item.type === 'text').map(item => item.text).join('\n')
+    : '';
+  return text || 'Tool returned an error result';
+}
+
+/**
+ * Wrap a tool handler so every call is logged
+ *
+ * @param {string} mcpServer - MCP server name (e.g., 'vault')
+ * @param {string} toolName - Tool name
+ * @param {function} handler - async (params, ...rest) => result
+ * @param {object} options
+ * @param {string} options.requestingAgent - Agent name when the request does not carry one (default: 'unknown')
+ * @param {array} options.tags - Tags for every call
+ * @param {function} options.context - (params, ...rest) => { requestingAgent, conversationId, messageId, traceparent }
+ * @returns {function} Instrumented handler with the same signature
+ */
+function instrumentTool(mcpServer, toolName, handler, {
+  requestingAgent = 'unknown',
+  tags = [],
+  context = null
+} = {}) {
+  if (typeof handler !== 'function') {
+    throw new Error(`instrumentTool(${mcpServer}, ${toolName}) needs a handler function`);
+  }
+
+  return async function instrumentedTool(...args) {
+    const [params] = args;
+    const caller = (context ? context(...args) : contextFromMeta(params, args[args.length - 1])) || {};
+
+    const callId = await logMCPToolCall({
+      mcpServer,
+      toolName,
+      requestingAgent: caller.requestingAgent || requestingAgent,
+      inputParams: params === undefined ? null : params,
+      conversationId: caller.conversationId || null,
+      messageId: caller.messageId || null,
+      tags,
+      traceparent: caller.traceparent || null
+    });
+    const callContext = getCallContext(callId);
+    // Started once the call is logged, so the duration is the handler's alone
+    const start = process.hrtime.bigint();
+
+    let result;
+    try {
+      result = callContext
+        ? await runWithTraceContext(callContext, () => handler(...args))
+        : await handler(...args);
+    } catch (err) {
+      await completeMCPToolCall(callId, {
+        outputResult: { error_stack: err instanceof Error ? err.stack : null },
+        status: 'error',
+        errorMessage: err instanceof Error ? err.message : String(err),
+        executionTimeMs: elapsedMs(start)
+      });
+      throw err;
+    }
+
+    const failed = Boolean(result && typeof result === 'object' && result.isError);
+    await completeMCPToolCall(callId, {
+      outputResult: result === undefined ? null : result,
+      status: failed ? 'error' : 'success',
+      errorMessage: failed ? resultErrorMessage(result) : null,
+      executionTimeMs: elapsedMs(start)
+    });
+    return result;
+  };
+}
+
+/**
+ * Instrument every tool registered on an MCP SDK server after this call
+ * (McpServer.tool() and McpServer.registerTool(); the handler is their last argument)
+ *
+ * @param {object} mcpServer - MCP SDK server
+ * @param {object} options - instrumentTool() options, plus:
+ * @param {string} options.name - Server name for the logs (default: the name the server was created with)
+ * @returns {object} The same server
+ */
+function instrumentServer(mcpServer, { name = null, ...options } = {}) {
+  const serverInfo = mcpServer.server && mcpServer.server._serverInfo;
+  const serverName = name || (serverInfo && serverInfo.name);
+  if (!serverName) {
+    throw new Error('instrumentServer needs a server name (options.name)');
+  }
+
+  ['tool', 'registerTool'].forEach(method => {
+    if (typeof mcpServer[method] !== 'function') {
+      return;
+    }
+    const register = mcpServer[method].bind(mcpServer);
+    mcpServer[method] = (toolName, ...rest) => {
+      const handler = rest[rest.length - 1];
+      if (typeof handler === 'function') {
+        rest[rest.length - 1] = instrumentTool(serverName, toolName, handler, options);
+      }
+      return register(toolName, ...rest);
+    };
+  });
+
+  return mcpServer;
+}
+
+module.exports = {
+  instrumentTool,
+  instrumentServer
+};
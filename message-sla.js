@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Message SLA - Mark requests that never got a response as 'timeout'
+ * For JARVIS multi-agent system
+ *
+ * Requests and delegations are answered by 'response' messages (paired through
+ * in_reply_to, see logAgentMessage in agent-logger.js), which close them as
+ * 'processed'. The sweeper looks for open requests older than their deadline
+ * without a response and moves them to 'timeout', so lost delegations show up
+ * in stats and queries. Open requests it finds answered (logged before
+ * responses closed them) are closed as 'processed', so no sweep reads them again.
+ *
+ * Deadlines come from the config file under `sla` (see config.js), in ms:
+ *
+ *   "sla": {
+ *     "defaultMs": 600000,                                  // JARVIS_SLA_DEFAULT_MS
+ *     "byAgent": { "agent-08-database": 300000 },          // by receiving agent
+ *     "byType": { "delegation": 1800000 }
+ *   }
+ *
+ * The receiving agent's deadline wins over the message type's, which wins over
+ * the default. Requests without any deadline are never swept.
+ *
+ * Usage:
+ *   node message-sla.js --dry-run    # list overdue requests
+ *   node message-sla.js              # mark them as timeout
+ *
+ *   const { sweepTimeouts, startSlaSweeper } = require('./message-sla');
+ *   const { timedOut } = await sweepTimeouts();
+ *   const stop = startSlaSweeper({ intervalMs: 60000 });
+ */
+
+const { parseArgs } = require('util');
+const { getConfig } = require('./config');
+const { getStorage } = require('./storage');
+const { lt } = require('./storage/filters');
+const { selectPage } = require('./storage/pagination');
+const { flushBuffer } = require('./log-writer');
+const { updateMessageStatus, getResponsesTo } = require('./agent-logger');
+const {
+  agentCommunicationWhere,
+  normalizeAgentCommunicationRow,
+  REQUEST_MESSAGE_TYPES
+} = require('./log-schema');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const OPEN_STATUSES = ['sent', 'received', 'processing'];
+const SWEEPER_ACTOR = 'sla-sweeper';
+
+function toMs(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const ms = Number(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
+}
+
+/**
+ * Deadline of a request in ms, or null when none applies
+ *
+ * @param {object} row - agent_communications row
+ * @param {object} sla - { defaultMs, byAgent, byType }
+ * @returns {number|null}
+ */
+function slaFor(row, sla) {
+  const candidates = [
+    (sla.byAgent || {})[row.target_agent],
+    (sla.byType || {})[row.message_type],
+    sla.defaultMs
+  ];
+  const configured = candidates.find(value => toMs(value) !== null);
+  return configured === undefined ? null : toMs(configured);
+}
+
+function shortestSla(sla) {
+  const values = [
+    sla.defaultMs,
+    ...Object.values(sla.byAgent || {}),
+    ...Object.values(sla.byType || {})
+  ].map(toMs).filter(value => value !== null);
+  return values.length > 0 ? Math.min(...values) : null;
+}
+
+/**
+ * Find overdue requests and mark them as timeout
+ *
+ * @param {object} options
+ * @param {object} options.sla - Deadlines (default: `sla` from the config)
+ * @param {boolean} options.dryRun - Only report overdue requests
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {number} options.batchSize - Requests read per query (default: 200)
+ * @returns {object} { checked, answered, timedOut: [{ messageId, from, to, messageType, slaMs, waitedMs }], error }
+ */
+async function sweepTimeouts({
+  sla = getConfig().sla,
+  dryRun = false,
+  now = new Date(),
+  batchSize = 200
+} = {}) {
+  const report = { checked: 0, answered: 0, timedOut: [], error: null };
+  const shortest = shortestSla(sla);
+  if (shortest === null) {
+    return report;
+  }
+
+  await flushBuffer();
+  const where = [
+    ...agentCommunicationWhere({ messageType: REQUEST_MESSAGE_TYPES, status: OPEN_STATUSES }),
+    // No request younger than the shortest deadline can be overdue
+    lt('timestamp', new Date(now.getTime() - shortest).toISOString())
+  ];
+  const orderBy = [{ column: 'timestamp', ascending: true }, { column: 'message_id', ascending: true }];
+  let cursor = null;
+
+  do {
+    const { data, error } = await selectPage(getStorage(), 'agent_communications', {
+      where,
+      orderBy,
+      limit: batchSize,
+      cursor
+    });
+    if (error) {
+      console.warn('Message SLA warning:', error.message);
+      return { ...report, error };
+    }
+    cursor = data.nextCursor;
+
+    const rows = data.rows.map(normalizeAgentCommunicationRow);
+    report.checked += rows.length;
+
+    const { responses, error: responseError } = await getResponsesTo(rows.map(row => row.message_id));
+    if (responseError) {
+      console.warn('Message SLA warning:', responseError.message);
+      return { ...report, error: responseError };
+    }
+
+    for (const row of rows) {
+      if (responses.has(row.message_id)) {
+        report.answered++;
+        if (!dryRun) {
+          await updateMessageStatus(row.message_id, 'processed', {
+            answered_by: responses.get(row.message_id).message_id
+          }, { actor: SWEEPER_ACTOR, answered: true });
+        }
+        continue;
+      }
+
+      const slaMs = slaFor(row, sla);
+      if (slaMs === null || now.getTime() - Date.parse(row.timestamp) <= slaMs) {
+        continue;
+      }
+
+      const timeout = {
+        messageId: row.message_id,
+        from: row.source_agent,
+        to: row.target_agent,
+        messageType: row.message_type,
+        slaMs,
+        waitedMs: now.getTime() - Date.parse(row.timestamp)
+      };
+
+      if (!dryRun) {
+        const { error: statusError } = await updateMessageStatus(row.message_id, 'timeout', {
+          sla_ms: timeout.slaMs,
+          waited_ms: timeout.waitedMs
+        }, { actor: SWEEPER_ACTOR });
+        // Skipped when the status moved on in the meantime; the next sweep looks again
+        if (statusError) {
+          continue;
+        }
+      }
+      report.timedOut.push(timeout);
+    }
+  } while (cursor);
+
+  return report;
+}
+
+/**
+ * Run sweepTimeouts() on a fixed interval. The timer does not keep the process alive.
+ *
+ * @param {object} options - sweepTimeouts() options, plus:
+ * @param {number} options.intervalMs - Time between sweeps (default: 1 minute)
+ * @param {function} options.onResult - Called with each sweep's report (optional)
+ * @returns {function} stop()
+ */
+function startSlaSweeper({ intervalMs = DEFAULT_INTERVAL_MS, onResult = null, ...options } = {}) {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const report = await sweepTimeouts({ ...options, now: new Date() });
+      if (onResult) {
+        onResult(report);
+      }
+    } catch (err) {
+      console.warn('Message SLA error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return function stop() {
+    clearInterval(timer);
+  };
+}
+
+async function main(argv) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: { 'dry-run': { type: 'boolean', default: false } }
+  });
+
+  if (shortestSla(getConfig().sla) === null) {
+    console.log('No SLA configured (sla in the config file or JARVIS_SLA_DEFAULT_MS)');
+    return 0;
+  }
+
+  try {
+    const { checked, answered, timedOut, error } = await sweepTimeouts({ dryRun: options['dry-run'] });
+    timedOut.forEach(timeout => {
+      console.log(`${options['dry-run'] ? 'Overdue' : '⏱️  Timed out'}: ${timeout.messageId} ` +
+        `${timeout.from} -> ${timeout.to} (${timeout.messageType}), waited ${Math.round(timeout.waitedMs / 1000)}s ` +
+        `of ${Math.round(timeout.slaMs / 1000)}s`);
+    });
+    console.log(`Checked ${checked} open request(s): ${timedOut.length} overdue, ${answered} already answered`);
+    return error ? 1 : 0;
+  } finally {
+    await getStorage().close();
+  }
+}
+
+module.exports = {
+  slaFor,
+  sweepTimeouts,
+  startSlaSweeper
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Migrate - Versioned schema migrations for the Supabase database
+ * For JARVIS multi-agent system
+ *
+ * Migrations live in migrations/ as pairs of files:
+ *
+ *   0001_logging_tables.up.sql      creates
+ *   0001_logging_tables.down.sql    reverts
+ *
+ * They are applied in version order, each one in its own transaction
+ * together with its row in the schema_migrations tracking table (version,
+ * name, checksum of the up file, applied_at). `status` flags applied
+ * migrations whose up file changed since.
+ *
+ * Migrations run through db-admin.js, so they need the service role key
+ * (SUPABASE_SERVICE_ROLE_KEY) and the jarvis_admin_exec() function, which is
+ * installed by hand once per project: storage/sql/jarvis_admin_exec.sql.
+ * They run as the service role, so steps that need the database owner (the
+ * Realtime publication, dropping exec_sql) are skipped with a notice and live
+ * in storage/sql/owner_setup.sql, to run by hand after `up`.
+ * Without a key, --dry-run prints the SQL to paste into the SQL editor.
+ *
+ * The SQLite and in-memory backends are schema-less (tables are created on
+ * first write), so there is nothing to migrate there.
+ *
+ * Usage:
+ *   node migrate.js status
+ *   node migrate.js up [--to 0002] [--dry-run]
+ *   node migrate.js down [--steps 1 | --to 0001] [--dry-run]
+ *
+ *   const { migrateUp, migrationStatus } = require('./migrate');
+ *   const { applied, error } = await migrateUp();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { getConfig } = require('./config');
+const { createAdmin, quoteLiteral } = require('./db-admin');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const TRACKING_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const TRACKING_TABLE_SQL = `create table if not exists ${TRACKING_TABLE} (
+  version text primary key,
+  name text not null,
+  checksum text not null,
+  applied_at timestamptz not null default now()
+)`;
+
+/**
+ * Tell whether the configured backend has a schema to migrate
+ *
+ * @returns {boolean}
+ */
+function isSchemaBackend() {
+  return getConfig().storage.type === 'supabase';
+}
+
+/**
+ * Read the migrations from a directory
+ *
+ * @param {string} dir - Migrations directory (default: ./migrations)
+ * @returns {array} [{ version, name, up, down, checksum }] in version order
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      return;
+    }
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name, up: null, down: null, checksum: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names (${migration.name}, ${name})`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version.localeCompare(b.version))
+    .map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+      }
+      return { ...migration, checksum: crypto.createHash('sha256').update(migration.up).digest('hex') };
+    });
+}
+
+/**
+ * Applied migrations from the tracking table (created if missing)
+ */
+async function readApplied(admin) {
+  const created = await admin.runScript(TRACKING_TABLE_SQL);
+  if (created.error) {
+    return { applied: null, error: created.error };
+  }
+  if (admin.dryRun) {
+    return { applied: new Map(), error: null };
+  }
+
+  const { data, error } = await admin.query(`select version, name, checksum, applied_at from ${TRACKING_TABLE} order by version`);
+  if (error) {
+    return { applied: null, error };
+  }
+  return { applied: new Map((data || []).map(row => [row.version, row])), error: null };
+}
+
+/**
+ * State of every migration
+ *
+ * @param {object} options
+ * @param {object} options.admin - DB admin (default: createAdmin())
+ * @param {string} options.dir - Migrations directory
+ * @returns {object} { migrations: [{ version, name, applied, appliedAt, changed }], unknown: [versions], error }
+ */
+async function migrationStatus({ admin = null, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const { applied, error } = await readApplied(admin || createAdmin());
+  if (error) {
+    return { migrations: [], unknown: [], error };
+  }
+
+  return {
+    migrations: migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row ? row.applied_at : null,
+        changed: Boolean(row) && row.checksum !== migration.checksum
+      };
+    }),
+    // Applied in the database but missing here (e.g. an older checkout)
+    unknown: [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version)),
+    error: null
+  };
+}
+
+function statements(sql) {
+  return sql.trim().replace(/;$/, '');
+}
+
+function upScript(migration) {
+  return `${statements(migration.up)};\ninsert into ${TRACKING_TABLE} (version, name, checksum) values (` +
+    `${quoteLiteral(migration.version)}, ${quoteLiteral(migration.name)}, ${quoteLiteral(migration.checksum)})`;
+}
+
+function downScript(migration) {
+  return `${statements(migration.down)};\ndelete from ${TRACKING_TABLE} where version = ${quoteLiteral(migration.version)}`;
+}
+
+/**
+ * Apply pending migrations in order. Stops at the first failure; the failed
+ * migration is rolled back as a whole.
+ *
+ * @param {object} options
+ * @param {string} options.to - Last version to apply (default: all)
+ * @param {boolean} options.dryRun - Print the SQL instead of running it
+ * @param {object} options.admin - DB admin (default: createAdmin({ dryRun }))
+ * @param {string} options.dir - Migrations directory
+ * @returns {object} { applied: [versions], error }
+ */
+async function migrateUp({ to = null, dryRun = false, admin = null, dir = MIGRATIONS_DIR } = {}) {
+  const db = admin || createAdmin({ dryRun });
+  const migrations = loadMigrations(dir);
+  const { applied, error } = await readApplied(db);
+  if (error) {
+    return { applied: [], error };
+  }
+
+  const pending = migrations.filter(migration => !applied.has(migration.version) && (!to || migration.version <= to));
+  const done = [];
+
+  for (const migration of pending) {
+    const { error: migrationError } = await db.runScript(upScript(migration));
+    if (migrationError) {
+      return { applied: done, error: new Error(`${migration.version}_${migration.name}: ${migrationError.message}`) };
+    }
+    done.push(migration.version);
+  }
+
+  return { applied: done, error: null };
+}
+
+/**
+ * Revert applied migrations, newest first
+ *
+ * @param {object} options
+ * @param {number} options.steps - Number of migrations to revert (default: 1)
+ * @param {string} options.to - Revert everything after this version instead ('0000' reverts all)
+ * @param {boolean} options.dryRun - Print the SQL instead of running it
+ * @param {object} options.admin - DB admin (default: createAdmin({ dryRun }))
+ * @param {string} options.dir - Migrations directory
+ * @returns {object} { reverted: [versions], error }
+ */
+async function migrateDown({ steps = 1, to = null, dryRun = false, admin = null, dir = MIGRATIONS_DIR } = {}) {
+  const db = admin || createAdmin({ dryRun });
+  const migrations = loadMigrations(dir);
+  const { applied, error } = await readApplied(db);
+  if (error) {
+    return { reverted: [], error };
+  }
+
+  // A dry run cannot read the tracking table, so it shows the newest migrations
+  const candidates = migrations
+    .filter(migration => db.dryRun || applied.has(migration.version))
+    .reverse();
+  const selected = to !== null
+    ? candidates.filter(migration => migration.version > to)
+    : candidates.slice(0, steps);
+  const done = [];
+
+  for (const migration of selected) {
+    const { error: migrationError } = await db.runScript(downScript(migration));
+    if (migrationError) {
+      return { reverted: done, error: new Error(`${migration.version}_${migration.name}: ${migrationError.message}`) };
+    }
+    done.push(migration.version);
+  }
+
+  return { reverted: done, error: null };
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string', default: '1' },
+      'dry-run': { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  const [command] = positionals;
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error('Usage: migrate.js status');
+    console.error('       migrate.js up [--to VERSION] [--dry-run]');
+    console.error('       migrate.js down [--steps N | --to VERSION] [--dry-run]');
+    return 2;
+  }
+
+  if (!isSchemaBackend()) {
+    console.log(`Storage backend ${getConfig().storage.type} is schema-less: tables are created on first write, nothing to migrate`);
+    return 0;
+  }
+
+  const dryRun = options['dry-run'];
+
+  if (command === 'status') {
+    const { migrations, unknown, error } = await migrationStatus();
+    if (error) {
+      console.error('❌ Cannot read migration status:', error.message);
+      return 1;
+    }
+    migrations.forEach(migration => {
+      const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+      console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}` +
+        `${migration.changed ? ' (up file changed since it was applied)' : ''}`);
+    });
+    unknown.forEach(version => console.log(`❓ ${version} - applied, but not in migrations/`));
+    return 0;
+  }
+
+  if (command === 'up') {
+    const { applied, error } = await migrateUp({ to: options.to || null, dryRun });
+    if (!dryRun) {
+      applied.forEach(version => console.log(`✅ Applied ${version}`));
+      if (applied.length === 0 && !error) {
+        console.log('Database is up to date');
+      }
+    }
+    if (error) {
+      console.error('❌ Migration failed:', error.message);
+      return 1;
+    }
+    return 0;
+  }
+
+  const { reverted, error } = await migrateDown({
+    steps: Number(options.steps),
+    to: options.to !== undefined ? options.to : null,
+    dryRun
+  });
+  if (!dryRun) {
+    reverted.forEach(version => console.log(`↩️  Reverted ${version}`));
+  }
+  if (error) {
+    console.error('❌ Migration failed:', error.message);
+    return 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  TRACKING_TABLE,
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
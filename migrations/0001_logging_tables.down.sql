@@ -0,0 +1,19 @@
+-- Reverts 0001_logging_tables.up.sql. Deletes every logged message and tool call.
+-- Dropping the tables also takes them out of the supabase_realtime publication.
+
+-- Only the view: an agent_stats table from an older deployment is left alone,
+-- and one the up script renamed to agent_stats_legacy gets its name back
+do $$
+begin
+  if (select relkind from pg_class where oid = to_regclass('agent_stats')) = 'v' then
+    drop view agent_stats;
+  end if;
+  if to_regclass('agent_stats') is null and to_regclass('agent_stats_legacy') is not null then
+    alter table agent_stats_legacy rename to agent_stats;
+  end if;
+end;
+$$;
+
+drop table if exists mcp_tool_calls;
+drop table if exists message_status_transitions;
+drop table if exists agent_communications;
@@ -0,0 +1,198 @@
+-- Logging tables: agent messages, their status changes and MCP tool calls
+-- For JARVIS multi-agent system
+--
+-- Columns follow log-schema.js (agent_communications) and mcp-logger.js
+-- (mcp_tool_calls). JSON values are jsonb, tags are text arrays.
+--
+-- Tables created by older agent-logger.js / mcp-logger.js versions are kept
+-- and get the columns they are missing; NOT NULL is only set after the
+-- existing rows are backfilled.
+
+create table if not exists agent_communications (
+  id bigserial primary key,
+  message_id text not null unique,
+  timestamp timestamptz not null default now(),
+  source_agent text not null,
+  target_agent text not null,
+  conversation_id text,
+  message_type text not null,
+  status text not null default 'sent',
+  payload jsonb,
+  result jsonb,
+  duration_ms integer,
+  error_message text,
+  context jsonb,
+  metadata jsonb not null default '{}'::jsonb,
+  tags text[] not null default '{}',
+  updated_at timestamptz,
+  trace_id text,
+  span_id text,
+  parent_span_id text,
+  in_reply_to text,
+  redacted boolean not null default false
+);
+
+alter table agent_communications
+  add column if not exists conversation_id text,
+  add column if not exists payload jsonb,
+  add column if not exists result jsonb,
+  add column if not exists duration_ms integer,
+  add column if not exists error_message text,
+  add column if not exists context jsonb,
+  add column if not exists metadata jsonb,
+  add column if not exists tags text[],
+  add column if not exists updated_at timestamptz,
+  add column if not exists trace_id text,
+  add column if not exists span_id text,
+  add column if not exists parent_span_id text,
+  add column if not exists in_reply_to text,
+  add column if not exists redacted boolean;
+
+alter table agent_communications
+  alter column metadata set default '{}'::jsonb,
+  alter column tags set default '{}',
+  alter column redacted set default false;
+
+update agent_communications
+set metadata = coalesce(metadata, '{}'::jsonb),
+  tags = coalesce(tags, '{}'),
+  redacted = coalesce(redacted, false)
+where metadata is null or tags is null or redacted is null;
+
+alter table agent_communications
+  alter column metadata set not null,
+  alter column tags set not null,
+  alter column redacted set not null;
+
+-- Keyset pagination (newest first, message_id breaks ties) and the common filters
+create index if not exists agent_communications_timestamp_idx on agent_communications (timestamp desc, message_id desc);
+create index if not exists agent_communications_conversation_idx on agent_communications (conversation_id, timestamp);
+create index if not exists agent_communications_source_idx on agent_communications (source_agent, timestamp desc);
+create index if not exists agent_communications_target_idx on agent_communications (target_agent, timestamp desc);
+create index if not exists agent_communications_status_idx on agent_communications (status, message_type, timestamp);
+create index if not exists agent_communications_in_reply_to_idx on agent_communications (in_reply_to);
+create index if not exists agent_communications_trace_idx on agent_communications (trace_id);
+create index if not exists agent_communications_tags_idx on agent_communications using gin (tags);
+
+-- Append-only status history, see updateMessageStatus() in agent-logger.js.
+-- No foreign key: retention and archive imports handle the tables separately.
+create table if not exists message_status_transitions (
+  id text primary key,
+  message_id text not null,
+  from_status text,
+  status text not null,
+  actor text,
+  timestamp timestamptz not null default now(),
+  metadata jsonb not null default '{}'::jsonb,
+  redacted boolean not null default false
+);
+
+create index if not exists message_status_transitions_message_idx on message_status_transitions (message_id, timestamp);
+create index if not exists message_status_transitions_timestamp_idx on message_status_transitions (timestamp);
+
+create table if not exists mcp_tool_calls (
+  id text primary key,
+  timestamp timestamptz not null default now(),
+  mcp_server text not null,
+  tool_name text not null,
+  requesting_agent text not null,
+  conversation_id text,
+  message_id text,
+  input_params jsonb,
+  output_result jsonb,
+  status text not null default 'running',
+  error_message text,
+  execution_time_ms integer,
+  tags text[] not null default '{}',
+  trace_id text,
+  span_id text,
+  parent_span_id text,
+  redacted boolean not null default false
+);
+
+alter table mcp_tool_calls
+  add column if not exists conversation_id text,
+  add column if not exists message_id text,
+  add column if not exists output_result jsonb,
+  add column if not exists error_message text,
+  add column if not exists execution_time_ms integer,
+  add column if not exists tags text[],
+  add column if not exists trace_id text,
+  add column if not exists span_id text,
+  add column if not exists parent_span_id text,
+  add column if not exists redacted boolean;
+
+alter table mcp_tool_calls
+  alter column tags set default '{}',
+  alter column redacted set default false;
+
+update mcp_tool_calls
+set tags = coalesce(tags, '{}'),
+  redacted = coalesce(redacted, false)
+where tags is null or redacted is null;
+
+alter table mcp_tool_calls
+  alter column tags set not null,
+  alter column redacted set not null;
+
+create index if not exists mcp_tool_calls_timestamp_idx on mcp_tool_calls (timestamp desc, id desc);
+create index if not exists mcp_tool_calls_tool_idx on mcp_tool_calls (mcp_server, tool_name, timestamp desc);
+create index if not exists mcp_tool_calls_agent_idx on mcp_tool_calls (requesting_agent, timestamp desc);
+create index if not exists mcp_tool_calls_conversation_idx on mcp_tool_calls (conversation_id, timestamp);
+create index if not exists mcp_tool_calls_message_idx on mcp_tool_calls (message_id);
+create index if not exists mcp_tool_calls_status_idx on mcp_tool_calls (status, timestamp);
+create index if not exists mcp_tool_calls_trace_idx on mcp_tool_calls (trace_id);
+
+-- Older deployments kept agent_stats as a table of counters, which the view
+-- replaces. The table is kept as agent_stats_legacy (the down script restores it).
+do $$
+begin
+  if (select relkind from pg_class where oid = to_regclass('agent_stats')) = 'r' then
+    alter table agent_stats rename to agent_stats_legacy;
+  end if;
+end;
+$$;
+
+-- Per-agent totals read by getAgentStats() / getAllAgentStats() in supabase-client.js
+create or replace view agent_stats as
+select
+  agent_id,
+  sum(sent)::bigint as total_messages_sent,
+  sum(received)::bigint as total_messages_received,
+  sum(errors)::bigint as total_errors,
+  max(timestamp) as last_activity
+from (
+  select source_agent as agent_id, 1 as sent, 0 as received,
+    case when status = 'error' then 1 else 0 end as errors, timestamp
+  from agent_communications
+  union all
+  select target_agent, 0, 1, 0, timestamp
+  from agent_communications
+) as messages
+group by agent_id;
+
+-- subscribe() uses Supabase Realtime, which only sees tables in its publication.
+-- Only the publication's owner may change it; migrate.js runs as the service
+-- role, which usually is not, so then this leaves it to storage/sql/owner_setup.sql.
+do $$
+declare
+  logged_table text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    return;
+  end if;
+
+  foreach logged_table in array array['agent_communications', 'mcp_tool_calls'] loop
+    if exists (select 1 from pg_publication_tables
+               where pubname = 'supabase_realtime' and tablename = logged_table) then
+      continue;
+    end if;
+    if not exists (select 1 from pg_publication
+                   where pubname = 'supabase_realtime' and pg_has_role(pubowner, 'member')) then
+      raise notice 'Not the owner of supabase_realtime: run storage/sql/owner_setup.sql as the database owner';
+      return;
+    end if;
+    execute format('alter publication supabase_realtime add table %I', logged_table);
+  end loop;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- Reverts 0002_tasks_and_conversations.up.sql. Deletes every task, report and conversation.
+
+drop function if exists create_conversation(text, text[], text);
+drop table if exists conversations;
+drop table if exists qa_reports;
+drop table if exists tasks;
@@ -0,0 +1,56 @@
+-- Agent tasks, QA reports and conversations, as used by supabase-client.js
+-- For JARVIS multi-agent system
+
+create table if not exists tasks (
+  id bigserial primary key,
+  category_id text not null,
+  agent_name text not null,
+  task_type text not null,
+  status text not null default 'pending',
+  priority integer not null default 5,
+  payload jsonb,
+  result jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists tasks_status_idx on tasks (category_id, status, priority desc, created_at);
+create index if not exists tasks_agent_idx on tasks (agent_name, status);
+
+create table if not exists qa_reports (
+  id bigserial primary key,
+  task_id bigint references tasks (id) on delete set null,
+  category_id text not null,
+  report_type text not null,
+  findings jsonb not null default '{}'::jsonb,
+  recommendations jsonb not null default '[]'::jsonb,
+  severity text not null default 'info',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists qa_reports_category_idx on qa_reports (category_id, created_at desc);
+create index if not exists qa_reports_task_idx on qa_reports (task_id);
+
+create table if not exists conversations (
+  id text primary key,
+  initiator text not null,
+  participants text[] not null default '{}',
+  title text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists conversations_initiator_idx on conversations (initiator, created_at desc);
+
+-- createConversation() in supabase-client.js: returns the new conversation id
+create or replace function create_conversation(p_initiator text, p_participants text[], p_title text default null)
+returns text
+language plpgsql
+as $$
+declare
+  new_id text := 'conv-' || replace(gen_random_uuid()::text, '-', '');
+begin
+  insert into conversations (id, initiator, participants, title)
+  values (new_id, p_initiator, coalesce(p_participants, '{}'), p_title);
+  return new_id;
+end;
+$$;
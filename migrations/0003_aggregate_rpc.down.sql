@@ -0,0 +1,5 @@
+-- Reverts 0003_aggregate_rpc.up.sql. storage/supabase.js falls back to aggregating client-side.
+
+drop function if exists jarvis_aggregate(jsonb);
+drop function if exists jarvis_where_sql(jsonb, text);
+drop function if exists jarvis_search_text_sql(jsonb);
@@ -0,0 +1,135 @@
+-- Server-side aggregation for the Supabase storage adapter (storage/supabase.js)
+-- jarvis_where_sql() understands the same `where` format as storage/filters.js.
+-- For JARVIS multi-agent system
+--
+-- Applied by `node migrate.js up` (see migrate.js).
+-- The spec is the one documented in storage/aggregate.js:
+--
+--   select * from jarvis_aggregate('{
+--     "table": "mcp_tool_calls",
+--     "where": [{"column": "timestamp", "op": "gte", "value": "2025-01-01T00:00:00Z"}],
+--     "group_by": ["mcp_server"],
+--     "metrics": {
+--       "calls": {"fn": "count"},
+--       "errors": {"fn": "count", "where": [{"column": "status", "op": "eq", "value": "error"}]},
+--       "p95_ms": {"fn": "percentile", "column": "execution_time_ms", "p": 0.95}
+--     }
+--   }');
+--
+-- Identifiers are quoted with %I and values with %L, and the function runs
+-- with the caller's privileges, so row level security still applies.
+
+-- Text expression searched by a 'search' condition: the column, or a path inside a JSON column
+create or replace function jarvis_search_text_sql(condition jsonb)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  expression text := format('%I', condition->>'column');
+  path text[] := array(select jsonb_array_elements_text(coalesce(condition->'path', '[]'::jsonb)));
+begin
+  if cardinality(path) = 0 then
+    return expression || '::text';
+  end if;
+  for i in 1 .. cardinality(path) loop
+    expression := expression || format(case when i = cardinality(path) then '->>%L' else '->%L' end, path[i]);
+  end loop;
+  return expression;
+end;
+$$;
+
+create or replace function jarvis_where_sql(conditions jsonb, joiner text default ' and ')
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  condition jsonb;
+  parts text[] := '{}';
+begin
+  if conditions is null or jsonb_array_length(conditions) = 0 then
+    return case when joiner = ' or ' then 'false' else 'true' end;
+  end if;
+
+  for condition in select value from jsonb_array_elements(conditions) loop
+    if condition ? 'or' then
+      parts := parts || ('(' || jarvis_where_sql(condition->'or', ' or ') || ')');
+    elsif condition ? 'and' then
+      parts := parts || ('(' || jarvis_where_sql(condition->'and') || ')');
+    elsif condition ? 'not' then
+      parts := parts || ('not coalesce(' || jarvis_where_sql(condition->'not') || ', false)');
+    elsif condition->>'op' = 'eq' and coalesce(jsonb_typeof(condition->'value'), 'null') = 'null' then
+      parts := parts || format('%I is null', condition->>'column');
+    elsif condition->>'op' = 'eq' then
+      parts := parts || format('%I = %L', condition->>'column', condition->>'value');
+    elsif condition->>'op' in ('gt', 'gte', 'lt', 'lte') then
+      parts := parts || format('%I %s %L', condition->>'column',
+        case condition->>'op' when 'gt' then '>' when 'gte' then '>=' when 'lt' then '<' else '<=' end,
+        condition->>'value');
+    elsif condition->>'op' = 'in' then
+      parts := parts || format('%I::text in (select jsonb_array_elements_text(%L::jsonb))',
+        condition->>'column', condition->'value');
+    elsif condition->>'op' = 'contains' then
+      parts := parts || format('to_jsonb(%I) @> %L::jsonb', condition->>'column', condition->'value');
+    elsif condition->>'op' = 'search' then
+      parts := parts || format('to_tsvector(''simple'', %s) @@ websearch_to_tsquery(''simple'', %L)',
+        jarvis_search_text_sql(condition), condition->>'value');
+    else
+      raise exception 'Unsupported filter operator: %', condition->>'op';
+    end if;
+  end loop;
+
+  return array_to_string(parts, joiner);
+end;
+$$;
+
+create or replace function jarvis_aggregate(spec jsonb)
+returns setof jsonb
+language plpgsql
+stable
+as $$
+declare
+  group_column text;
+  metric record;
+  fields text[] := '{}';
+  group_list text[] := '{}';
+  expression text;
+begin
+  for group_column in select jsonb_array_elements_text(coalesce(spec->'group_by', '[]'::jsonb)) loop
+    fields := fields || format('%L, %I', group_column, group_column);
+    group_list := group_list || format('%I', group_column);
+  end loop;
+
+  for metric in select key as name, value as def from jsonb_each(spec->'metrics') loop
+    expression := case metric.def->>'fn'
+      when 'count' then
+        case when metric.def ? 'column' then format('count(%I)', metric.def->>'column') else 'count(*)' end
+      when 'sum' then format('sum(%I)', metric.def->>'column')
+      when 'avg' then format('avg(%I)', metric.def->>'column')
+      when 'min' then format('min(%I)', metric.def->>'column')
+      when 'max' then format('max(%I)', metric.def->>'column')
+      when 'percentile' then
+        format('percentile_cont(%s) within group (order by %I)', (metric.def->>'p')::float8, metric.def->>'column')
+    end;
+
+    if expression is null then
+      raise exception 'Unsupported aggregate function: %', metric.def->>'fn';
+    end if;
+
+    if metric.def ? 'where' then
+      expression := expression || format(' filter (where %s)', jarvis_where_sql(metric.def->'where'));
+    end if;
+
+    fields := fields || format('%L, %s', metric.name, expression);
+  end loop;
+
+  return query execute format(
+    'select jsonb_build_object(%s) from %I where %s%s',
+    array_to_string(fields, ', '),
+    spec->>'table',
+    jarvis_where_sql(spec->'where'),
+    case when cardinality(group_list) > 0 then ' group by ' || array_to_string(group_list, ', ') else '' end
+  );
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Reverts 0004_task_queue.up.sql
+
+drop index if exists tasks_dead_idx;
+drop index if exists tasks_lease_idx;
+drop index if exists tasks_claim_idx;
+
+alter table tasks
+  drop column if exists completed_at,
+  drop column if exists started_at,
+  drop column if exists last_error,
+  drop column if exists lease_expires_at,
+  drop column if exists lease_token,
+  drop column if exists lease_owner,
+  drop column if exists max_attempts,
+  drop column if exists attempts,
+  drop column if exists available_at;
@@ -0,0 +1,21 @@
+-- Queue columns for task-queue.js: delayed availability, leases, retries and dead-lettering
+-- For JARVIS multi-agent system
+--
+-- Statuses: pending -> running -> completed, or back to pending on a retry,
+-- or dead once max_attempts is used up.
+
+alter table tasks
+  add column if not exists available_at timestamptz not null default now(),
+  add column if not exists attempts integer not null default 0,
+  add column if not exists max_attempts integer not null default 5,
+  add column if not exists lease_owner text,
+  add column if not exists lease_token text,
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists last_error text,
+  add column if not exists started_at timestamptz,
+  add column if not exists completed_at timestamptz;
+
+-- claimTask(): available pending tasks by priority, and running tasks whose lease ran out
+create index if not exists tasks_claim_idx on tasks (status, priority desc, available_at, id);
+create index if not exists tasks_lease_idx on tasks (lease_expires_at) where status = 'running';
+create index if not exists tasks_dead_idx on tasks (completed_at desc) where status = 'dead';
@@ -0,0 +1,9 @@
+-- Reverts 0005_qa_report_status.up.sql
+
+drop index if exists qa_reports_type_idx;
+drop index if exists qa_reports_open_idx;
+
+alter table qa_reports
+  drop column if exists resolved_by,
+  drop column if exists resolved_at,
+  drop column if exists status;
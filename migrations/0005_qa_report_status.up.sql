@@ -0,0 +1,10 @@
+-- Open/resolved state of QA reports, for the open-issue rollups in qa-reports.js
+-- For JARVIS multi-agent system
+
+alter table qa_reports
+  add column if not exists status text not null default 'open',
+  add column if not exists resolved_at timestamptz,
+  add column if not exists resolved_by text;
+
+create index if not exists qa_reports_open_idx on qa_reports (category_id, severity) where status = 'open';
+create index if not exists qa_reports_type_idx on qa_reports (category_id, report_type, created_at desc);
@@ -0,0 +1,4 @@
+-- Reverts 0006_backfill_legacy_agent_columns.up.sql
+-- Nothing to undo: the legacy columns are left as they were.
+
+select 1;
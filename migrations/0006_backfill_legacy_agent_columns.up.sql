@@ -0,0 +1,26 @@
+-- Copy agent_communications rows written by older agent-logger.js versions
+-- (from_agent, to_agent, message) into the canonical columns, so filters,
+-- agent_stats and the topology aggregates see them
+-- For JARVIS multi-agent system
+
+do $$
+begin
+  if exists (select 1 from information_schema.columns
+             where table_name = 'agent_communications' and column_name = 'from_agent') then
+    update agent_communications set source_agent = from_agent
+    where (source_agent is null or source_agent = '') and from_agent is not null;
+  end if;
+
+  if exists (select 1 from information_schema.columns
+             where table_name = 'agent_communications' and column_name = 'to_agent') then
+    update agent_communications set target_agent = to_agent
+    where (target_agent is null or target_agent = '') and to_agent is not null;
+  end if;
+
+  if exists (select 1 from information_schema.columns
+             where table_name = 'agent_communications' and column_name = 'message') then
+    update agent_communications set payload = jsonb_build_object('message', message)
+    where payload is null and message is not null;
+  end if;
+end;
+$$;
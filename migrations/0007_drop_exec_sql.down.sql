@@ -0,0 +1,4 @@
+-- Reverts 0007_drop_exec_sql.up.sql
+-- exec_sql is not recreated: it let every client run arbitrary SQL.
+
+select 1;
@@ -0,0 +1,22 @@
+-- Drop the old exec_sql RPC, which ran any SQL for any caller holding the anon
+-- or authenticated key. Admin statements go through jarvis_admin_exec() (service
+-- role only, see db-admin.js) since this series.
+-- For JARVIS multi-agent system
+--
+-- Only its owner may drop it. migrate.js runs as the service role, so when
+-- exec_sql belongs to another role (usually postgres) this leaves it to
+-- storage/sql/owner_setup.sql.
+
+do $$
+begin
+  if to_regprocedure('exec_sql(text)') is null then
+    return;
+  end if;
+  if not exists (select 1 from pg_proc
+                 where oid = to_regprocedure('exec_sql(text)') and pg_has_role(proowner, 'member')) then
+    raise notice 'Not the owner of exec_sql(text): run storage/sql/owner_setup.sql as the database owner';
+    return;
+  end if;
+  drop function exec_sql(text);
+end;
+$$;
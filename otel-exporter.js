@@ -0,0 +1,374 @@
+/**
+ * OpenTelemetry Exporter - Emit agent and MCP events as OTLP spans and metrics
+ * For JARVIS multi-agent system
+ *
+ * Registers itself as a log sink (see log-writer.js) and speaks OTLP/HTTP JSON,
+ * so it can point straight at a local OpenTelemetry collector:
+ *   - an MCP tool call becomes a span, started by logMCPToolCall() and ended
+ *     with the duration computed by completeMCPToolCall()
+ *   - an agent message becomes a span carrying an `agent.message` span event;
+ *     tool calls it triggered are its child spans (see trace-context.js)
+ *   - counters/histograms: jarvis.agent.messages, jarvis.mcp.calls,
+ *     jarvis.mcp.call.duration
+ *
+ * Enable with log.otel in config.js: JARVIS_LOG_OTEL=1 (export as well as
+ * storage) or JARVIS_LOG_OTEL=only (export instead of storage). The endpoint comes from
+ * the `otel` section of config.js: OTEL_EXPORTER_OTLP_ENDPOINT (default
+ * http://localhost:4318), extra headers from OTEL_EXPORTER_OTLP_HEADERS
+ * ("key=value,key2=value2").
+ *
+ * Or from code:
+ *   const { enableOtelExport } = require('./otel-exporter');
+ *   enableOtelExport({ endpoint: 'http://otel-collector:4318', serviceName: 'agent-01' });
+ */
+
+const { addLogSink, setStorageWrites } = require('./log-writer');
+const { getConfig } = require('./config');
+
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+const AGGREGATION_CUMULATIVE = 2;
+const MAX_OPEN_CALLS = 10000;
+
+// Histogram bucket bounds for tool call duration (ms)
+const DURATION_BOUNDS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+function toUnixNano(timestamp) {
+  const ms = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return String(BigInt(Math.round(ms)) * 1000000n);
+}
+
+function attributeValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+function toAttributes(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ({ key, value: attributeValue(value) }));
+}
+
+function findId(where) {
+  const condition = where.find(c => c.column === 'id' && c.op === 'eq');
+  return condition ? condition.value : null;
+}
+
+/**
+ * Create an OTLP/HTTP JSON exporter sink
+ *
+ * @param {object} options
+ * @param {string} options.endpoint - Collector base URL (default: config otel.endpoint)
+ * @param {object} options.headers - Extra HTTP headers (default: config otel.headers)
+ * @param {string} options.serviceName - service.name resource attribute (default: config otel.serviceName)
+ * @param {number} options.flushIntervalMs - Export interval (default: 5000)
+ * @param {number} options.maxBatchSize - Export once this many spans are queued (default: 512)
+ * @returns {object} Log sink with handle(), flush() and close()
+ */
+function createOtelExporter({
+  endpoint = getConfig().otel.endpoint,
+  headers = getConfig().otel.headers,
+  serviceName = getConfig().otel.serviceName,
+  flushIntervalMs = 5000,
+  maxBatchSize = 512
+} = {}) {
+  const baseUrl = endpoint.replace(/\/+$/, '');
+  const startTime = toUnixNano(Date.now());
+  const resource = { attributes: toAttributes({ 'service.name': serviceName }) };
+  const scope = { name: 'jarvis-logger' };
+
+  let spans = [];
+  const openCalls = new Map();
+  const counters = new Map();
+  const histograms = new Map();
+  let metricsChanged = false;
+
+  const timer = setInterval(() => {
+    flush().catch(err => console.warn('OTel Exporter warning:', err.message));
+  }, flushIntervalMs);
+  timer.unref();
+
+  function count(name, attributes) {
+    const key = `${name}|${JSON.stringify(attributes)}`;
+    const entry = counters.get(key) || { name, attributes, value: 0 };
+    entry.value++;
+    counters.set(key, entry);
+    metricsChanged = true;
+  }
+
+  function record(name, attributes, value) {
+    const key = `${name}|${JSON.stringify(attributes)}`;
+    const entry = histograms.get(key) || {
+      name,
+      attributes,
+      count: 0,
+      sum: 0,
+      buckets: new Array(DURATION_BOUNDS.length + 1).fill(0)
+    };
+    entry.count++;
+    entry.sum += value;
+    const index = DURATION_BOUNDS.findIndex(bound => value <= bound);
+    entry.buckets[index === -1 ? DURATION_BOUNDS.length : index]++;
+    histograms.set(key, entry);
+    metricsChanged = true;
+  }
+
+  function queueSpan(span) {
+    spans.push(span);
+    if (spans.length >= maxBatchSize) {
+      flush().catch(err => console.warn('OTel Exporter warning:', err.message));
+    }
+  }
+
+  function handleMessage(row) {
+    if (!row.trace_id || !row.span_id) {
+      return;
+    }
+
+    const time = toUnixNano(row.timestamp);
+    const attributes = {
+      'jarvis.source_agent': row.source_agent,
+      'jarvis.target_agent': row.target_agent,
+      'jarvis.message_type': row.message_type,
+      'jarvis.message_id': row.message_id,
+      'jarvis.conversation_id': row.conversation_id,
+      'jarvis.status': row.status
+    };
+
+    queueSpan({
+      traceId: row.trace_id,
+      spanId: row.span_id,
+      parentSpanId: row.parent_span_id || undefined,
+      name: `agent.message ${row.message_type}`,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: time,
+      endTimeUnixNano: time,
+      attributes: toAttributes(attributes),
+      events: [{
+        timeUnixNano: time,
+        name: 'agent.message',
+        attributes: toAttributes({
+          ...attributes,
+          'jarvis.message': row.payload && row.payload.message
+        })
+      }],
+      status: { code: row.status === 'error' ? STATUS_ERROR : STATUS_OK }
+    });
+
+    count('jarvis.agent.messages', {
+      'jarvis.source_agent': row.source_agent,
+      'jarvis.target_agent': row.target_agent,
+      'jarvis.message_type': row.message_type
+    });
+  }
+
+  function handleCallCompletion(call, changes) {
+    const durationMs = typeof changes.execution_time_ms === 'number'
+      ? changes.execution_time_ms
+      : Date.now() - Date.parse(call.timestamp);
+    const startMs = Date.parse(call.timestamp);
+    const status = changes.status || 'error';
+
+    if (call.trace_id && call.span_id) {
+      queueSpan({
+        traceId: call.trace_id,
+        spanId: call.span_id,
+        parentSpanId: call.parent_span_id || undefined,
+        name: `${call.mcp_server}/${call.tool_name}`,
+        kind: SPAN_KIND_CLIENT,
+        startTimeUnixNano: toUnixNano(startMs),
+        endTimeUnixNano: toUnixNano(startMs + durationMs),
+        attributes: toAttributes({
+          'mcp.server': call.mcp_server,
+          'mcp.tool': call.tool_name,
+          'jarvis.requesting_agent': call.requesting_agent,
+          'jarvis.call_id': call.id,
+          'jarvis.conversation_id': call.conversation_id,
+          'jarvis.message_id': call.message_id,
+          'jarvis.status': status
+        }),
+        status: status === 'success'
+          ? { code: STATUS_OK }
+          : { code: STATUS_ERROR, message: changes.error_message || status }
+      });
+    }
+
+    const attributes = { 'mcp.server': call.mcp_server, 'mcp.tool': call.tool_name, 'jarvis.status': status };
+    count('jarvis.mcp.calls', attributes);
+    record('jarvis.mcp.call.duration', attributes, durationMs);
+  }
+
+  function handle(event) {
+    if (event.table === 'agent_communications' && event.op === 'insert') {
+      handleMessage(event.row);
+      return;
+    }
+
+    if (event.table !== 'mcp_tool_calls') {
+      return;
+    }
+
+    if (event.op === 'insert') {
+      // Calls that never complete must not pile up forever
+      if (openCalls.size >= MAX_OPEN_CALLS) {
+        openCalls.delete(openCalls.keys().next().value);
+      }
+      openCalls.set(event.row.id, event.row);
+      return;
+    }
+
+    const callId = findId(event.where);
+    const call = callId && openCalls.get(callId);
+    // Only the final update (success/error) ends the span
+    if (call && event.changes.status && event.changes.status !== 'running') {
+      openCalls.delete(callId);
+      handleCallCompletion(call, event.changes);
+    }
+  }
+
+  function metricsPayload() {
+    const now = toUnixNano(Date.now());
+    const metrics = [];
+
+    const sums = new Map();
+    counters.forEach(({ name, attributes, value }) => {
+      if (!sums.has(name)) {
+        sums.set(name, []);
+      }
+      sums.get(name).push({
+        attributes: toAttributes(attributes),
+        startTimeUnixNano: startTime,
+        timeUnixNano: now,
+        asInt: String(value)
+      });
+    });
+    sums.forEach((dataPoints, name) => {
+      metrics.push({
+        name,
+        unit: '1',
+        sum: { dataPoints, aggregationTemporality: AGGREGATION_CUMULATIVE, isMonotonic: true }
+      });
+    });
+
+    const buckets = new Map();
+    histograms.forEach(({ name, attributes, count: total, sum, buckets: bucketCounts }) => {
+      if (!buckets.has(name)) {
+        buckets.set(name, []);
+      }
+      buckets.get(name).push({
+        attributes: toAttributes(attributes),
+        startTimeUnixNano: startTime,
+        timeUnixNano: now,
+        count: String(total),
+        sum,
+        bucketCounts: bucketCounts.map(String),
+        explicitBounds: DURATION_BOUNDS
+      });
+    });
+    buckets.forEach((dataPoints, name) => {
+      metrics.push({
+        name,
+        unit: 'ms',
+        histogram: { dataPoints, aggregationTemporality: AGGREGATION_CUMULATIVE }
+      });
+    });
+
+    return { resourceMetrics: [{ resource, scopeMetrics: [{ scope, metrics }] }] };
+  }
+
+  async function post(path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP collector responded with ${response.status}`);
+    }
+  }
+
+  async function flush() {
+    const batch = spans;
+    spans = [];
+
+    if (batch.length > 0) {
+      try {
+        await post('/v1/traces', { resourceSpans: [{ resource, scopeSpans: [{ scope, spans: batch }] }] });
+      } catch (err) {
+        console.warn(`OTel Exporter warning: dropped ${batch.length} span(s):`, err.message);
+      }
+    }
+
+    if (metricsChanged) {
+      metricsChanged = false;
+      try {
+        await post('/v1/metrics', metricsPayload());
+      } catch (err) {
+        console.warn('OTel Exporter warning: metrics export failed:', err.message);
+      }
+    }
+  }
+
+  async function close() {
+    clearInterval(timer);
+    await flush();
+  }
+
+  return { name: 'otel', handle, flush, close };
+}
+
+let exporter = null;
+let removeSink = null;
+
+function onBeforeExit() {
+  if (exporter) {
+    exporter.flush().catch(err => console.warn('OTel Exporter warning:', err.message));
+  }
+}
+
+/**
+ * Start exporting all log writes over OTLP
+ *
+ * @param {object} options - Same as createOtelExporter, plus:
+ * @param {boolean} options.replaceStorage - Stop writing rows to the storage backend
+ * @returns {object} The exporter
+ */
+function enableOtelExport({ replaceStorage = false, ...options } = {}) {
+  if (!exporter) {
+    exporter = createOtelExporter(options);
+    removeSink = addLogSink(exporter);
+    process.once('beforeExit', onBeforeExit);
+  }
+  if (replaceStorage) {
+    setStorageWrites(false);
+  }
+  return exporter;
+}
+
+/**
+ * Stop exporting, flushing what is still queued
+ */
+async function disableOtelExport() {
+  if (exporter) {
+    const closing = exporter;
+    exporter = null;
+    removeSink();
+    process.removeListener('beforeExit', onBeforeExit);
+    setStorageWrites(true);
+    await closing.close();
+  }
+}
+
+module.exports = {
+  createOtelExporter,
+  enableOtelExport,
+  disableOtelExport
+};
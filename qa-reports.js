@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+/**
+ * QA Reports - Typed QA reports, open-issue rollups and report diffs
+ * For JARVIS multi-agent system
+ *
+ * Every report_type has a schema for its `findings` (REPORT_TYPES, extend
+ * with registerReportType()). A field is a number, string or boolean; numbers
+ * say whether higher or lower is better, strings may list their values from
+ * best to worst. That is what lets diffReports() tell a regression (the MCP
+ * server count dropped, vault went from healthy to sealed) from a change.
+ *
+ * A report is an open issue until it is resolved. Reports can be linked to
+ * the task that produced them (task_id, see task-queue.js).
+ *
+ * Severities, least to most severe: info, low, medium, high, critical.
+ * The status columns are added by migrations/0005_qa_report_status.up.sql.
+ *
+ * Usage:
+ *   node qa-reports.js rollup [--category 00]
+ *   node qa-reports.js diff 00 [--type system_check]     # latest two reports
+ *
+ *   const { createQAReport, getOpenIssueRollup, diffLatestReports } = require('./qa-reports');
+ *
+ *   await createQAReport({
+ *     categoryId: '00',
+ *     reportType: 'system_check',
+ *     taskId: task.id,                                   // optional
+ *     findings: { vault_status: 'healthy', mcp_servers: 7, plugins: 11 },
+ *     recommendations: ['All systems operational'],
+ *     severity: 'info'
+ *   });
+ *
+ *   const { regressions } = await diffLatestReports('00', 'system_check');
+ */
+
+const { parseArgs } = require('util');
+const { getStorage } = require('./storage');
+const { eq, oneOf, anyOf, timeWindow } = require('./storage/filters');
+
+const QA_REPORTS_TABLE = 'qa_reports';
+
+const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+const REPORT_STATUSES = ['open', 'resolved'];
+const FIELD_TYPES = ['number', 'string', 'boolean'];
+
+// findings schema per report type
+const REPORT_TYPES = {
+  system_check: {
+    vault_status: { type: 'string', required: true, values: ['healthy', 'degraded', 'sealed', 'down'] },
+    mcp_servers: { type: 'number', required: true, better: 'higher' },
+    plugins: { type: 'number', required: true, better: 'higher' },
+    agents_online: { type: 'number', better: 'higher' },
+    disk_free_percent: { type: 'number', better: 'higher' }
+  },
+  test_run: {
+    suite: { type: 'string', required: true },
+    passed: { type: 'number', required: true, better: 'higher' },
+    failed: { type: 'number', required: true, better: 'lower' },
+    skipped: { type: 'number', better: 'lower' },
+    duration_ms: { type: 'number', better: 'lower' }
+  },
+  security_scan: {
+    scanner: { type: 'string', required: true },
+    critical: { type: 'number', required: true, better: 'lower' },
+    high: { type: 'number', required: true, better: 'lower' },
+    medium: { type: 'number', better: 'lower' },
+    low: { type: 'number', better: 'lower' },
+    secrets_found: { type: 'boolean', values: [false, true] }
+  }
+};
+
+// Newest first, id breaks ties
+const REPORT_ORDER = [
+  { column: 'created_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+class QAReportValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid QA report: ${errors.join('; ')}`);
+    this.name = 'QAReportValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Add or replace the findings schema of a report type
+ *
+ * @param {string} reportType - Report type, e.g. 'load_test'
+ * @param {object} schema - { field: { type, required, better: 'higher'|'lower', values: [best, ..., worst] } }
+ */
+function registerReportType(reportType, schema) {
+  Object.entries(schema).forEach(([field, spec]) => {
+    if (!FIELD_TYPES.includes(spec.type)) {
+      throw new Error(`${reportType}.${field}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (spec.better && !['higher', 'lower'].includes(spec.better)) {
+      throw new Error(`${reportType}.${field}: better must be 'higher' or 'lower'`);
+    }
+  });
+  REPORT_TYPES[reportType] = schema;
+}
+
+/**
+ * Check a report's type, severity and findings
+ *
+ * @param {object} report - { reportType, severity, findings, recommendations }
+ * @returns {array} Problems (empty when the report is valid)
+ */
+function validateReport({ reportType, severity, findings, recommendations }) {
+  const schema = REPORT_TYPES[reportType];
+  if (!schema) {
+    return [`unknown report type "${reportType}" (expected ${Object.keys(REPORT_TYPES).join(', ')})`];
+  }
+
+  const errors = [];
+  if (!SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of ${SEVERITIES.join(', ')} (got "${severity}")`);
+  }
+  if (!Array.isArray(recommendations) || recommendations.some(item => typeof item !== 'string')) {
+    errors.push('recommendations must be a list of strings');
+  }
+  if (!findings || typeof findings !== 'object' || Array.isArray(findings)) {
+    return [...errors, 'findings must be an object'];
+  }
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const value = findings[field];
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        errors.push(`findings.${field} is required for ${reportType}`);
+      }
+      return;
+    }
+    if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+      errors.push(`findings.${field} must be a ${spec.type}`);
+    } else if (spec.values && spec.type === 'string' && !spec.values.includes(value)) {
+      errors.push(`findings.${field} must be one of ${spec.values.join(', ')} (got "${value}")`);
+    }
+  });
+  Object.keys(findings).filter(field => !schema[field]).forEach(field => {
+    errors.push(`findings.${field} is not part of ${reportType}`);
+  });
+
+  return errors;
+}
+
+/**
+ * Store a QA report
+ *
+ * @param {object} report
+ * @param {string} report.categoryId - Category (e.g. '00')
+ * @param {string} report.reportType - One of REPORT_TYPES
+ * @param {object} report.findings - Findings matching the report type's schema
+ * @param {array} report.recommendations - Recommendations (strings)
+ * @param {string} report.severity - One of SEVERITIES (default: 'info')
+ * @param {number} report.taskId - Task the report belongs to (optional, must exist)
+ * @returns {object|null} Report row, or null on failure
+ */
+async function createQAReport({
+  categoryId,
+  reportType,
+  findings,
+  recommendations = [],
+  severity = 'info',
+  taskId = null
+}) {
+  const errors = validateReport({ reportType, severity, findings, recommendations });
+  if (!categoryId) {
+    errors.push('categoryId is required');
+  }
+  if (errors.length > 0) {
+    throw new QAReportValidationError(errors);
+  }
+
+  const storage = getStorage();
+  if (taskId !== null) {
+    const { data, error } = await storage.select('tasks', { columns: ['id'], where: [eq('id', taskId)], limit: 1 });
+    if (error) {
+      console.error('Error creating QA report:', error.message);
+      return null;
+    }
+    if (data.length === 0) {
+      throw new QAReportValidationError([`task ${taskId} does not exist`]);
+    }
+  }
+
+  const { data, error } = await storage.insert(QA_REPORTS_TABLE, {
+    task_id: taskId,
+    category_id: categoryId,
+    report_type: reportType,
+    findings,
+    recommendations,
+    severity,
+    status: 'open',
+    resolved_at: null,
+    resolved_by: null,
+    created_at: new Date().toISOString()
+  });
+
+  if (error) {
+    console.error('Error creating QA report:', error.message);
+    return null;
+  }
+
+  return data[0];
+}
+
+/**
+ * Severities at or above a level
+ *
+ * @param {string} severity - Minimum severity
+ * @returns {array} Severities
+ */
+function severitiesFrom(severity) {
+  const index = SEVERITIES.indexOf(severity);
+  if (index === -1) {
+    throw new Error(`Unknown severity: ${severity} (expected one of ${SEVERITIES.join(', ')})`);
+  }
+  return SEVERITIES.slice(index);
+}
+
+// Reports stored before the status column existed count as open
+const OPEN = anyOf(eq('status', 'open'), eq('status', null));
+
+function reportWhere({
+  categoryId = null,
+  reportType = null,
+  severity = null,
+  minSeverity = null,
+  status = null,
+  taskId = null,
+  since = null,
+  until = null
+}) {
+  const where = [...timeWindow('created_at', { since, until })];
+  if (categoryId !== null) {
+    where.push(oneOf('category_id', Array.isArray(categoryId) ? categoryId : [categoryId]));
+  }
+  if (reportType !== null) {
+    where.push(oneOf('report_type', Array.isArray(reportType) ? reportType : [reportType]));
+  }
+  if (severity !== null) {
+    where.push(oneOf('severity', Array.isArray(severity) ? severity : [severity]));
+  }
+  if (minSeverity !== null) {
+    where.push(oneOf('severity', severitiesFrom(minSeverity)));
+  }
+  if (status === 'open') {
+    where.push(OPEN);
+  } else if (status !== null) {
+    where.push(eq('status', status));
+  }
+  if (taskId !== null) {
+    where.push(eq('task_id', taskId));
+  }
+  return where;
+}
+
+/**
+ * Query QA reports, newest first
+ *
+ * @param {object} filters - { categoryId, reportType, severity, minSeverity, status, taskId, since, until, limit }
+ *   categoryId, reportType and severity take a value or a list
+ * @returns {array} Report rows
+ */
+async function queryQAReports({ limit = 100, ...filters } = {}) {
+  const { data, error } = await getStorage().select(QA_REPORTS_TABLE, {
+    where: reportWhere(filters),
+    orderBy: REPORT_ORDER,
+    limit
+  });
+
+  if (error) {
+    console.error('Error querying QA reports:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+/**
+ * Reports produced by a task
+ *
+ * @param {number} taskId - Task ID
+ * @returns {array} Report rows
+ */
+async function getReportsForTask(taskId) {
+  return queryQAReports({ taskId });
+}
+
+/**
+ * Mark an open report as resolved
+ *
+ * @param {number} reportId - Report ID
+ * @param {object} options
+ * @param {string} options.resolvedBy - Who resolved it (agent or person)
+ * @returns {object} { report, error }
+ */
+async function resolveQAReport(reportId, { resolvedBy = null } = {}) {
+  const { data, error } = await getStorage().update(QA_REPORTS_TABLE, [eq('id', reportId), OPEN], {
+    status: 'resolved',
+    resolved_at: new Date().toISOString(),
+    resolved_by: resolvedBy
+  });
+
+  if (error) {
+    console.warn('QA Reports warning:', error.message);
+    return { report: null, error };
+  }
+  if (data.length === 0) {
+    return { report: null, error: new Error(`QA report ${reportId} does not exist or is already resolved`) };
+  }
+  return { report: data[0], error: null };
+}
+
+/**
+ * Open reports per category, by severity
+ *
+ * @param {object} filters - { categoryId, reportType, since, until }
+ * @returns {array} [{ category_id, open, info, low, medium, high, critical, worst_severity, oldest_open, latest }],
+ *   worst categories first
+ */
+async function getOpenIssueRollup(filters = {}) {
+  const metrics = {
+    open: { fn: 'count' },
+    oldest_open: { fn: 'min', column: 'created_at' },
+    latest: { fn: 'max', column: 'created_at' }
+  };
+  SEVERITIES.forEach(severity => {
+    metrics[severity] = { fn: 'count', where: [eq('severity', severity)] };
+  });
+
+  const { data, error } = await getStorage().aggregate(QA_REPORTS_TABLE, {
+    where: reportWhere({ ...filters, status: 'open' }),
+    groupBy: ['category_id'],
+    metrics
+  });
+
+  if (error) {
+    console.error('Error getting QA rollup:', error.message);
+    return [];
+  }
+
+  return data
+    .map(row => {
+      const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, Number(row[severity])]));
+      const worst = [...SEVERITIES].reverse().find(severity => counts[severity] > 0) || null;
+      return { ...row, ...counts, open: Number(row.open), worst_severity: worst };
+    })
+    .sort((a, b) => SEVERITIES.indexOf(b.worst_severity) - SEVERITIES.indexOf(a.worst_severity) ||
+      b.open - a.open);
+}
+
+function compareField(spec, before, after) {
+  if (spec.better && spec.type === 'number') {
+    const improved = spec.better === 'higher' ? after > before : after < before;
+    return improved ? 'improved' : 'regressed';
+  }
+  if (spec.values) {
+    // values run from best to worst; a value outside the list cannot be ranked
+    const from = spec.values.indexOf(before);
+    const to = spec.values.indexOf(after);
+    if (from === -1 || to === -1) {
+      return 'changed';
+    }
+    return to > from ? 'regressed' : 'improved';
+  }
+  return 'changed';
+}
+
+/**
+ * Compare two reports of the same type
+ *
+ * @param {object} before - Older report row
+ * @param {object} after - Newer report row
+ * @returns {object} { reportType, before, after, severity: { before, after, change },
+ *   changes: [{ field, before, after, delta, change }], regressions: [...] }
+ *   change is 'regressed', 'improved', 'changed', 'added' or 'removed'; regressions holds
+ *   the regressed and removed findings, plus a 'severity' entry when the severity got worse
+ */
+function diffReports(before, after) {
+  if (before.report_type !== after.report_type) {
+    throw new Error(`Cannot diff a ${before.report_type} report with a ${after.report_type} report`);
+  }
+
+  const schema = REPORT_TYPES[after.report_type] || {};
+  const oldFindings = before.findings || {};
+  const newFindings = after.findings || {};
+  const fields = [...new Set([...Object.keys(schema), ...Object.keys(oldFindings), ...Object.keys(newFindings)])];
+  const changes = [];
+
+  fields.forEach(field => {
+    const from = oldFindings[field] === undefined ? null : oldFindings[field];
+    const to = newFindings[field] === undefined ? null : newFindings[field];
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+
+    let change;
+    if (from === null) {
+      change = 'added';
+    } else if (to === null) {
+      change = 'removed';
+    } else {
+      change = compareField(schema[field] || {}, from, to);
+    }
+    changes.push({
+      field,
+      before: from,
+      after: to,
+      delta: typeof from === 'number' && typeof to === 'number' ? to - from : null,
+      change
+    });
+  });
+
+  const severityDelta = SEVERITIES.indexOf(after.severity) - SEVERITIES.indexOf(before.severity);
+  const regressions = changes.filter(change => change.change === 'regressed' || change.change === 'removed');
+  if (severityDelta > 0) {
+    regressions.unshift({ field: 'severity', before: before.severity, after: after.severity, delta: severityDelta, change: 'regressed' });
+  }
+
+  return {
+    reportType: after.report_type,
+    before: { id: before.id, createdAt: before.created_at },
+    after: { id: after.id, createdAt: after.created_at },
+    severity: {
+      before: before.severity,
+      after: after.severity,
+      change: severityDelta > 0 ? 'regressed' : severityDelta < 0 ? 'improved' : 'unchanged'
+    },
+    changes,
+    regressions
+  };
+}
+
+/**
+ * Diff the two latest reports of a category and type
+ *
+ * @param {string} categoryId - Category
+ * @param {string} reportType - Report type (default: 'system_check')
+ * @returns {object|null} diffReports() result, or null with fewer than two reports
+ */
+async function diffLatestReports(categoryId, reportType = 'system_check') {
+  const [after, before] = await queryQAReports({ categoryId, reportType, limit: 2 });
+  return before ? diffReports(before, after) : null;
+}
+
+/**
+ * One findings field over time, oldest first, for trend charts
+ *
+ * @param {string} categoryId - Category
+ * @param {string} reportType - Report type
+ * @param {string} field - Findings field
+ * @param {object} options - { since, until, limit }
+ * @returns {array} [{ reportId, createdAt, severity, value }]
+ */
+async function getFindingTrend(categoryId, reportType, field, { since = null, until = null, limit = 500 } = {}) {
+  const reports = await queryQAReports({ categoryId, reportType, since, until, limit });
+  return reports.reverse().map(report => ({
+    reportId: report.id,
+    createdAt: report.created_at,
+    severity: report.severity,
+    value: report.findings && report.findings[field] !== undefined ? report.findings[field] : null
+  }));
+}
+
+const CHANGE_ICONS = { regressed: '🔻', improved: '🔺', changed: '✏️ ', added: '➕', removed: '➖' };
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    options: {
+      category: { type: 'string' },
+      type: { type: 'string', default: 'system_check' }
+    },
+    allowPositionals: true
+  });
+  const [command, categoryId] = positionals;
+
+  if (command !== 'rollup' && !(command === 'diff' && categoryId)) {
+    console.error('Usage: qa-reports.js rollup [--category ID]');
+    console.error('       qa-reports.js diff <category> [--type system_check]');
+    return 2;
+  }
+
+  try {
+    if (command === 'rollup') {
+      const rollup = await getOpenIssueRollup(options.category ? { categoryId: options.category } : {});
+      if (rollup.length === 0) {
+        console.log('No open QA reports');
+        return 0;
+      }
+      console.log(['CATEGORY', 'OPEN', ...SEVERITIES.map(severity => severity.toUpperCase()), 'OLDEST OPEN'].join('\t'));
+      rollup.forEach(row => {
+        console.log([row.category_id, row.open, ...SEVERITIES.map(severity => row[severity]), row.oldest_open].join('\t'));
+      });
+      return 0;
+    }
+
+    const diff = await diffLatestReports(categoryId, options.type);
+    if (!diff) {
+      console.log(`Category ${categoryId} has fewer than two ${options.type} reports`);
+      return 0;
+    }
+    console.log(`${options.type} #${diff.before.id} (${diff.before.createdAt}) -> #${diff.after.id} (${diff.after.createdAt})`);
+    console.log(`Severity: ${diff.severity.before} -> ${diff.severity.after} (${diff.severity.change})`);
+    diff.changes.forEach(change => {
+      const delta = change.delta !== null ? ` (${change.delta > 0 ? '+' : ''}${change.delta})` : '';
+      console.log(`${CHANGE_ICONS[change.change]} ${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}${delta}`);
+    });
+    if (diff.changes.length === 0) {
+      console.log('No changes in findings');
+    }
+    // Non-zero on regressions, so CI jobs can fail on them
+    return diff.regressions.length > 0 ? 1 : 0;
+  } finally {
+    await getStorage().close();
+  }
+}
+
+module.exports = {
+  SEVERITIES,
+  REPORT_STATUSES,
+  REPORT_TYPES,
+  QAReportValidationError,
+  registerReportType,
+  validateReport,
+  createQAReport,
+  queryQAReports,
+  getReportsForTask,
+  resolveQAReport,
+  getOpenIssueRollup,
+  diffReports,
+  diffLatestReports,
+  getFindingTrend
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
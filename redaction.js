@@ -0,0 +1,199 @@
+/**
+ * Redaction - Strip secrets from log records before they are written
+ * For JARVIS multi-agent system
+ *
+ * The log writer runs every insert and update through redactRecord(), so
+ * nothing reaches storage, the spool or any sink unredacted. Three kinds of
+ * rules apply:
+ *   - key names: values under keys like password, token, secret, api_key are
+ *     replaced entirely
+ *   - value detectors: JWTs, AWS access keys and PEM blocks are cut out of any
+ *     string, wherever they appear
+ *   - policies per MCP server/tool: whole columns or paths are replaced, e.g.
+ *     everything vault returns
+ *
+ * Redacted values become "[REDACTED:<rule>]" and the row gets `redacted: true`.
+ *
+ * Usage:
+ *   const { registerRedactionPolicy } = require('./redaction');
+ *
+ *   registerRedactionPolicy({
+ *     mcpServer: 'github',
+ *     toolName: 'create-token',            // or '*' for every tool
+ *     paths: ['output_result.token'],      // column or dotted path, '*' matches any key
+ *     keys: ['pat']                        // extra sensitive key names
+ *   });
+ */
+
+const DEFAULT_SENSITIVE_KEYS = [
+  'password',
+  'passwd',
+  'pwd',
+  'secret',
+  'token',
+  'api_key',
+  'apikey',
+  'access_key',
+  'secret_key',
+  'private_key',
+  'client_secret',
+  'authorization',
+  'cookie',
+  'credentials',
+  'session'
+];
+
+const VALUE_DETECTORS = [
+  { name: 'pem', pattern: /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/g },
+  { name: 'aws-secret-key', pattern: /(aws_?secret_?access_?key["'\s:=]+)[A-Za-z0-9/+=]{40}/gi }
+];
+
+// Columns that hold free-form data and are scanned, per table
+const REDACTED_COLUMNS = {
+  agent_communications: ['payload', 'result', 'context', 'metadata', 'error_message'],
+  mcp_tool_calls: ['input_params', 'output_result', 'error_message']
+};
+
+const DEFAULT_POLICIES = [
+  // Everything vault returns is a secret or close to one
+  { mcpServer: 'vault', toolName: '*', paths: ['output_result'], keys: [] }
+];
+
+let policies = [...DEFAULT_POLICIES];
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-\s]/g, '_');
+}
+
+function marker(rule) {
+  return `[REDACTED:${rule}]`;
+}
+
+/**
+ * Register a per-server/per-tool redaction policy
+ *
+ * @param {object} policy
+ * @param {string} policy.mcpServer - MCP server name ('*' for all)
+ * @param {string} policy.toolName - Tool name ('*' for all, default)
+ * @param {array} policy.paths - Columns or dotted paths to replace entirely
+ * @param {array} policy.keys - Extra key names to treat as sensitive
+ */
+function registerRedactionPolicy({ mcpServer, toolName = '*', paths = [], keys = [] }) {
+  if (!mcpServer) {
+    throw new Error('Redaction policy needs an mcpServer (use "*" for all servers)');
+  }
+  policies.push({ mcpServer, toolName, paths, keys });
+}
+
+/**
+ * Remove all policies, including the built-in vault policy
+ */
+function clearRedactionPolicies() {
+  policies = [];
+}
+
+function policiesFor({ mcpServer, toolName } = {}) {
+  return policies.filter(policy =>
+    (policy.mcpServer === '*' || policy.mcpServer === mcpServer) &&
+    (policy.toolName === '*' || policy.toolName === toolName)
+  );
+}
+
+function pathMatches(pattern, path) {
+  const parts = pattern.split('.');
+  if (parts.length !== path.length) {
+    return false;
+  }
+  return parts.every((part, index) => part === '*' || part === String(path[index]));
+}
+
+/**
+ * Redact a string with the value detectors
+ */
+function redactString(value, state) {
+  let result = value;
+  VALUE_DETECTORS.forEach(({ name, pattern }) => {
+    pattern.lastIndex = 0;
+    result = result.replace(pattern, (match, prefix) => {
+      state.redacted = true;
+      // Detectors with a captured prefix keep it (e.g. the key name in "aws_secret_access_key=")
+      return name === 'aws-secret-key' ? `${prefix}${marker(name)}` : marker(name);
+    });
+  });
+  return result;
+}
+
+function redactValue(value, path, rules, state) {
+  if (rules.paths.some(pattern => pathMatches(pattern, path))) {
+    state.redacted = true;
+    return marker('policy');
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value, state);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => redactValue(item, [...path, index], rules, state));
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, nested]) => {
+      const normalized = normalizeKey(key);
+      if (nested !== null && nested !== undefined && nested !== '' &&
+        rules.keys.some(sensitive => normalized === sensitive || normalized.endsWith(`_${sensitive}`))) {
+        state.redacted = true;
+        result[key] = marker(`key:${normalized}`);
+      } else {
+        result[key] = redactValue(nested, [...path, key], rules, state);
+      }
+    });
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Redact the free-form columns of a row
+ *
+ * @param {string} table - Table name
+ * @param {object} row - Row (or update changes) keyed by column
+ * @param {object} context - { mcpServer, toolName } for per-tool policies (taken from the row when present)
+ * @returns {object} { row, redacted } - a redacted copy; `redacted` tells whether anything changed
+ */
+function redactRecord(table, row, context = {}) {
+  const matching = policiesFor({
+    mcpServer: row.mcp_server || context.mcpServer,
+    toolName: row.tool_name || context.toolName
+  });
+  const rules = {
+    keys: [...DEFAULT_SENSITIVE_KEYS, ...matching.flatMap(policy => policy.keys.map(normalizeKey))],
+    paths: matching.flatMap(policy => policy.paths)
+  };
+  const state = { redacted: false };
+  const columns = REDACTED_COLUMNS[table] || Object.keys(row);
+  const result = { ...row };
+
+  columns.forEach(column => {
+    if (result[column] !== undefined && result[column] !== null) {
+      result[column] = redactValue(result[column], [column], rules, state);
+    }
+  });
+
+  if (state.redacted) {
+    result.redacted = true;
+  }
+  return { row: result, redacted: state.redacted };
+}
+
+module.exports = {
+  DEFAULT_SENSITIVE_KEYS,
+  REDACTED_COLUMNS,
+  registerRedactionPolicy,
+  clearRedactionPolicies,
+  redactRecord
+};
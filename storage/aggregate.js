@@ -0,0 +1,175 @@
+/**
+ * Storage aggregation - Shared group-by spec for all storage adapters
+ *
+ * aggregate(table, spec) groups the rows matching `where` and computes named
+ * metrics per group, returning one row per group:
+ *   {
+ *     where: [gte('timestamp', since)],
+ *     groupBy: ['mcp_server', 'tool_name'],
+ *     metrics: {
+ *       calls: { fn: 'count' },
+ *       errors: { fn: 'count', where: [eq('status', 'error')] },   // conditional
+ *       avg_ms: { fn: 'avg', column: 'execution_time_ms' },
+ *       p95_ms: { fn: 'percentile', column: 'execution_time_ms', p: 0.95 }
+ *     }
+ *   }
+ *   -> { data: [{ mcp_server, tool_name, calls, errors, avg_ms, p95_ms }], error }
+ *
+ * Functions: count (rows, or non-null values of `column`), sum, avg, min, max
+ * and percentile (continuous, like Postgres percentile_cont). Null values are
+ * ignored, as in SQL.
+ */
+
+const { assertIdentifier, matchRow, compareValues } = require('./filters');
+
+const METRIC_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'percentile'];
+
+/**
+ * Throw if an aggregate spec is malformed
+ *
+ * @param {object} spec - { groupBy, metrics }
+ * @returns {object} The same spec
+ */
+function assertAggregateSpec({ groupBy = [], metrics = {} } = {}) {
+  groupBy.forEach(assertIdentifier);
+
+  if (Object.keys(metrics).length === 0) {
+    throw new Error('Aggregate needs at least one metric');
+  }
+
+  Object.entries(metrics).forEach(([name, metric]) => {
+    assertIdentifier(name);
+    if (!METRIC_FUNCTIONS.includes(metric.fn)) {
+      throw new Error(`Unsupported aggregate function: ${metric.fn} (expected one of ${METRIC_FUNCTIONS.join(', ')})`);
+    }
+    if (metric.fn !== 'count' && !metric.column) {
+      throw new Error(`Aggregate ${name} (${metric.fn}) needs a column`);
+    }
+    if (metric.column) {
+      assertIdentifier(metric.column);
+    }
+    if (metric.fn === 'percentile' && !(metric.p >= 0 && metric.p <= 1)) {
+      throw new Error(`Aggregate ${name} needs a percentile p between 0 and 1`);
+    }
+  });
+
+  return { groupBy, metrics };
+}
+
+function conditionColumns(where = []) {
+  return where.flatMap(condition => {
+    const nested = condition.or || condition.and || condition.not;
+    return nested ? conditionColumns(nested) : [condition.column];
+  });
+}
+
+/**
+ * Columns an aggregate needs to read, for adapters that aggregate client-side
+ *
+ * @param {object} spec - { groupBy, metrics }
+ * @returns {array} Column names
+ */
+function aggregateColumns({ groupBy = [], metrics = {} } = {}) {
+  const columns = new Set(groupBy);
+  Object.values(metrics).forEach(metric => {
+    if (metric.column) {
+      columns.add(metric.column);
+    }
+    conditionColumns(metric.where).forEach(column => columns.add(column));
+  });
+  return [...columns];
+}
+
+/**
+ * Continuous percentile of sorted numbers (linear interpolation)
+ *
+ * @param {array} sorted - Numbers in ascending order
+ * @param {number} p - Fraction between 0 and 1
+ * @returns {number|null} Percentile, or null for an empty list
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Compute one metric over the values of a group
+ */
+function computeMetric(metric, rows) {
+  const matching = metric.where ? rows.filter(row => matchRow(row, metric.where)) : rows;
+
+  if (metric.fn === 'count' && !metric.column) {
+    return matching.length;
+  }
+
+  const values = matching
+    .map(row => row[metric.column])
+    .filter(value => value !== null && value !== undefined);
+
+  switch (metric.fn) {
+    case 'count':
+      return values.length;
+    case 'sum':
+      return values.length > 0 ? values.reduce((sum, value) => sum + Number(value), 0) : null;
+    case 'avg':
+      return values.length > 0 ? values.reduce((sum, value) => sum + Number(value), 0) / values.length : null;
+    case 'min':
+      return values.length > 0 ? values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+    case 'max':
+      return values.length > 0 ? values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+    case 'percentile':
+      return percentile(values.map(Number).sort((a, b) => a - b), metric.p);
+    default:
+      throw new Error(`Unsupported aggregate function: ${metric.fn}`);
+  }
+}
+
+/**
+ * Group rows and compute metrics in JS (used by adapters without a query engine)
+ *
+ * @param {array} rows - Rows already filtered by the spec's `where`
+ * @param {object} spec - { groupBy, metrics }
+ * @returns {array} One row per group
+ */
+function aggregateRows(rows, spec) {
+  const { groupBy, metrics } = assertAggregateSpec(spec);
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const values = groupBy.map(column => (row[column] === undefined ? null : row[column]));
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) {
+      groups.set(key, { values, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  // Without groupBy there is always exactly one result row, even for no rows
+  if (groupBy.length === 0 && groups.size === 0) {
+    groups.set('[]', { values: [], rows: [] });
+  }
+
+  return [...groups.values()].map(group => {
+    const result = {};
+    groupBy.forEach((column, index) => {
+      result[column] = group.values[index];
+    });
+    Object.entries(metrics).forEach(([name, metric]) => {
+      result[name] = computeMetric(metric, group.rows);
+    });
+    return result;
+  });
+}
+
+module.exports = {
+  METRIC_FUNCTIONS,
+  assertAggregateSpec,
+  aggregateColumns,
+  percentile,
+  aggregateRows
+};
@@ -0,0 +1,352 @@
+/**
+ * Storage filters - Shared condition helpers for all storage adapters
+ *
+ * A `where` list is an array of conditions that must all match:
+ *   { column: 'status', op: 'eq', value: 'sent' }
+ *   { column: 'timestamp', op: 'gte', value: '2025-01-01T00:00:00Z' }   // also 'gt', 'lt', 'lte'
+ *   { column: 'status', op: 'in', value: ['error', 'timeout'] }
+ *   { column: 'tags', op: 'contains', value: ['deploy'] }              // array column has all values
+ *   { column: 'payload', path: ['message'], op: 'search', value: 'vault token' }
+ *   { or: [condition, condition] }    // any of the nested conditions
+ *   { and: [condition, condition] }   // all of the nested conditions (inside an `or`)
+ *   { not: [condition, condition] }   // not all of the nested conditions
+ *
+ * Build them with the helpers instead of writing the objects by hand:
+ *   const { eq, oneOf, anyOf } = require('./storage/filters');
+ *   where: [eq('mcp_server', 'vault'), oneOf('status', ['error', 'timeout'])]
+ *
+ * `search` matches when every word of the query occurs in the column's text
+ * (JSON columns are searched as text), ignoring case. The Supabase adapter
+ * runs it as Postgres full-text search with the 'simple' configuration.
+ */
+
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Equality condition
+ *
+ * @param {string} column - Column name
+ * @param {*} value - Value to compare with (null matches missing/null values)
+ * @returns {object} Condition
+ */
+function eq(column, value) {
+  return { column, op: 'eq', value };
+}
+
+/**
+ * Greater-than-or-equal condition (e.g. the start of a time window)
+ *
+ * @param {string} column - Column name
+ * @param {*} value - Lower bound, inclusive
+ * @returns {object} Condition
+ */
+function gte(column, value) {
+  return { column, op: 'gte', value };
+}
+
+/**
+ * Less-than condition (e.g. the end of a time window)
+ *
+ * @param {string} column - Column name
+ * @param {*} value - Upper bound, exclusive
+ * @returns {object} Condition
+ */
+function lt(column, value) {
+  return { column, op: 'lt', value };
+}
+
+/**
+ * Greater-than condition
+ *
+ * @param {string} column - Column name
+ * @param {*} value - Lower bound, exclusive
+ * @returns {object} Condition
+ */
+function gt(column, value) {
+  return { column, op: 'gt', value };
+}
+
+/**
+ * Less-than-or-equal condition
+ *
+ * @param {string} column - Column name
+ * @param {*} value - Upper bound, inclusive
+ * @returns {object} Condition
+ */
+function lte(column, value) {
+  return { column, op: 'lte', value };
+}
+
+/**
+ * Membership condition (SQL IN)
+ *
+ * @param {string} column - Column name
+ * @param {array} values - Accepted values
+ * @returns {object} Condition
+ */
+function oneOf(column, values) {
+  return { column, op: 'in', value: values };
+}
+
+/**
+ * Containment condition for array columns (e.g. tags)
+ *
+ * @param {string} column - Array column name
+ * @param {array} values - Values that must all be present
+ * @returns {object} Condition
+ */
+function contains(column, values) {
+  return { column, op: 'contains', value: values };
+}
+
+/**
+ * Text search condition
+ *
+ * @param {string} column - Column name
+ * @param {string} text - Words that must all occur
+ * @param {array} path - Keys inside a JSON column, e.g. ['message'] (optional)
+ * @returns {object} Condition
+ */
+function search(column, text, path = []) {
+  return { column, path, op: 'search', value: text };
+}
+
+/**
+ * Equality for a single value, membership for an array
+ *
+ * @param {string} column - Column name
+ * @param {*|array} value - Value or list of values
+ * @returns {object} Condition
+ */
+function matches(column, value) {
+  return Array.isArray(value) ? oneOf(column, value) : eq(column, value);
+}
+
+/**
+ * Where list for a time window on a column
+ *
+ * @param {string} column - Timestamp column
+ * @param {object} window - { since, until } (Date or ISO string, both optional)
+ * @returns {array} Where list
+ */
+function timeWindow(column, { since = null, until = null } = {}) {
+  const where = [];
+  if (since) {
+    where.push(gte(column, new Date(since).toISOString()));
+  }
+  if (until) {
+    where.push(lt(column, new Date(until).toISOString()));
+  }
+  return where;
+}
+
+/**
+ * Condition that matches when any nested condition matches
+ *
+ * @param {...object} conditions - Conditions to OR together
+ * @returns {object} Condition
+ */
+function anyOf(...conditions) {
+  return { or: conditions };
+}
+
+/**
+ * Condition that matches when all nested conditions match (for use inside anyOf)
+ *
+ * @param {...object} conditions - Conditions to AND together
+ * @returns {object} Condition
+ */
+function allOf(...conditions) {
+  return { and: conditions };
+}
+
+/**
+ * Condition that matches when the nested conditions do not all match.
+ * Keep negated conditions on columns that are never null: Postgres does not
+ * count a comparison with NULL as a mismatch.
+ *
+ * @param {...object} conditions - Conditions to AND together and negate
+ * @returns {object} Condition
+ */
+function not(...conditions) {
+  return { not: conditions };
+}
+
+/**
+ * Split a search query into lower-case words
+ *
+ * @param {string} text - Search query
+ * @returns {array} Words
+ */
+function searchTerms(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Build a where list from a plain { column: value } object
+ *
+ * @param {object} match - Column/value pairs, undefined values are skipped
+ * @returns {array} Where list
+ */
+function whereFromObject(match = {}) {
+  return Object.entries(match)
+    .filter(([, value]) => value !== undefined)
+    .map(([column, value]) => eq(column, value));
+}
+
+/**
+ * Throw if a table or column name is not a plain identifier
+ *
+ * @param {string} name - Identifier to check
+ * @returns {string} The same name
+ */
+function assertIdentifier(name) {
+  if (typeof name !== 'string' || !COLUMN_PATTERN.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Evaluate a single condition against a row
+ *
+ * @param {object} row - Row object
+ * @param {object} condition - Condition
+ * @returns {boolean}
+ */
+function matchCondition(row, condition) {
+  if (condition.or) {
+    return condition.or.some(nested => matchCondition(row, nested));
+  }
+  if (condition.and) {
+    return condition.and.every(nested => matchCondition(row, nested));
+  }
+  if (condition.not) {
+    return !condition.not.every(nested => matchCondition(row, nested));
+  }
+
+  const actual = row[condition.column];
+  const present = actual !== null && actual !== undefined;
+
+  switch (condition.op) {
+    case 'eq':
+      if (condition.value === null || condition.value === undefined) {
+        return actual === null || actual === undefined;
+      }
+      return actual === condition.value;
+    case 'gt':
+      return present && compareValues(actual, condition.value) > 0;
+    case 'gte':
+      return present && compareValues(actual, condition.value) >= 0;
+    case 'lt':
+      return present && compareValues(actual, condition.value) < 0;
+    case 'lte':
+      return present && compareValues(actual, condition.value) <= 0;
+    case 'in':
+      return present && condition.value.includes(actual);
+    case 'contains':
+      return Array.isArray(actual) && condition.value.every(value => actual.includes(value));
+    case 'search': {
+      const target = (condition.path || []).reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), actual);
+      if (target === null || target === undefined) {
+        return false;
+      }
+      const text = (typeof target === 'object' ? JSON.stringify(target) : String(target)).toLowerCase();
+      return searchTerms(condition.value).every(term => text.includes(term));
+    }
+    default:
+      throw new Error(`Unsupported filter operator: ${condition.op}`);
+  }
+}
+
+/**
+ * Evaluate a where list against a row
+ *
+ * @param {object} row - Row object
+ * @param {array} where - Where list
+ * @returns {boolean}
+ */
+function matchRow(row, where = []) {
+  return where.every(condition => matchCondition(row, condition));
+}
+
+/**
+ * Compare two column values the way the database orders them (nulls last)
+ */
+function compareValues(a, b) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Sort rows in place by an orderBy spec
+ *
+ * @param {array} rows - Rows to sort
+ * @param {object|array} orderBy - { column, ascending } or a list of them
+ * @returns {array} The same rows
+ */
+function sortRows(rows, orderBy) {
+  if (!orderBy) {
+    return rows;
+  }
+  const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+  return rows.sort((a, b) => {
+    for (const { column, ascending = true } of orders) {
+      const result = compareValues(a[column], b[column]);
+      if (result !== 0) {
+        return ascending ? result : -result;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep only the requested columns of a row
+ *
+ * @param {object} row - Row object
+ * @param {string|array} columns - '*' or a list of column names
+ * @returns {object} Projected row
+ */
+function projectRow(row, columns = '*') {
+  if (!columns || columns === '*') {
+    return row;
+  }
+  const list = Array.isArray(columns) ? columns : columns.split(',').map(c => c.trim());
+  const projected = {};
+  list.forEach(column => {
+    projected[column] = row[column] === undefined ? null : row[column];
+  });
+  return projected;
+}
+
+module.exports = {
+  eq,
+  gt,
+  gte,
+  lt,
+  lte,
+  oneOf,
+  contains,
+  search,
+  matches,
+  timeWindow,
+  anyOf,
+  allOf,
+  not,
+  searchTerms,
+  whereFromObject,
+  assertIdentifier,
+  matchCondition,
+  matchRow,
+  compareValues,
+  sortRows,
+  projectRow
+};
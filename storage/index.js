@@ -0,0 +1,120 @@
+/**
+ * Storage - Pluggable backend for the JARVIS loggers
+ * For JARVIS multi-agent system
+ *
+ * agent-logger.js, mcp-logger.js and supabase-client.js never talk to a
+ * database directly; they go through the adapter returned by getStorage().
+ * Adapters resolve { data, error } just like the Supabase client does.
+ *
+ * Pick a backend with storage.type in the config (JARVIS_LOG_STORAGE, see config.js):
+ *   supabase (default) - Supabase project at supabase.url / supabase.key
+ *   sqlite             - local file at storage.sqlitePath (default ./jarvis-logs.sqlite)
+ *   memory             - in-process tables, lost on exit
+ *
+ * Or install one from code (e.g. in tests):
+ *   const { setStorage, createStorage } = require('./storage');
+ *   setStorage(createStorage('memory'));
+ *
+ * Adapter interface:
+ *   insert(table, records, { returning })          -> { data: rows, error }
+ *   upsert(table, records, { onConflict, ignoreDuplicates }) -> { data: rows, error }
+ *   update(table, where, changes)                  -> { data: rows, error }
+ *   select(table, { columns, where, orderBy, limit }) -> { data: rows, error }
+ *   aggregate(table, { where, groupBy, metrics })  -> { data: rows, error }
+ *   delete(table, where)                           -> { data: rows, error }
+ *   subscribe(table, { where }, handler)           -> async unsubscribe()
+ *     handler({ op: 'insert'|'update', row }) for every new or changed row;
+ *     Supabase Realtime, or polling changesSince(table, mark) on memory/sqlite
+ *   rpc(name, params)                              -> { data, error }
+ *   close()
+ *
+ * See storage/filters.js for the `where` format and storage/aggregate.js for
+ * aggregate specs.
+ */
+
+const { createSupabaseStorage } = require('./supabase');
+const { createSqliteStorage } = require('./sqlite');
+const { createMemoryStorage } = require('./memory');
+const { getConfig, assertResolved } = require('../config');
+
+// Validate the config as soon as logging is loaded (throws in production)
+getConfig();
+
+const adapters = {
+  supabase: ({ url, key, ...options }) => {
+    const { supabase } = getConfig();
+    return createSupabaseStorage({
+      url: url || assertResolved(supabase.url, 'supabase.url'),
+      key: key || assertResolved(supabase.key, 'supabase.key'),
+      ...options
+    });
+  },
+  sqlite: options => createSqliteStorage({ filename: getConfig().storage.sqlitePath, ...options }),
+  memory: options => createMemoryStorage(options)
+};
+
+let current = null;
+
+/**
+ * Create a storage adapter
+ *
+ * @param {string} type - 'supabase', 'sqlite' or 'memory'
+ * @param {object} options - Adapter options
+ * @returns {object} Storage adapter
+ */
+function createStorage(type, options = {}) {
+  const factory = adapters[type];
+  if (!factory) {
+    throw new Error(`Unknown storage type: ${type} (expected one of ${Object.keys(adapters).join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * Get the active storage adapter, creating it from the config on first use.
+ * Outside production, a Supabase backend without credentials falls back to
+ * in-memory storage (config validation has already warned about it).
+ *
+ * @returns {object} Storage adapter
+ */
+function getStorage() {
+  if (!current) {
+    const { storage, supabase } = getConfig();
+    if (storage.type === 'supabase' && (!supabase.url || !supabase.key)) {
+      console.warn('Storage warning: Supabase credentials are not configured, logging to memory only');
+      current = createStorage('memory');
+    } else {
+      current = createStorage(storage.type);
+    }
+  }
+  return current;
+}
+
+/**
+ * Replace the active storage adapter
+ *
+ * @param {object} storage - Adapter created by createStorage() or a custom one
+ * @returns {object} The previous adapter (or null)
+ */
+function setStorage(storage) {
+  const previous = current;
+  current = storage;
+  return previous;
+}
+
+/**
+ * Get the underlying Supabase client (only for the Supabase adapter)
+ *
+ * @returns {object|null} Supabase client
+ */
+function getSupabaseClient() {
+  const storage = getStorage();
+  return storage.name === 'supabase' ? storage.client : null;
+}
+
+module.exports = {
+  createStorage,
+  getStorage,
+  setStorage,
+  getSupabaseClient
+};
@@ -0,0 +1,159 @@
+/**
+ * Memory storage adapter - In-process tables for tests and offline development
+ *
+ * Rows live in plain arrays and are lost when the process exits. Rows without
+ * an `id` get an auto-incrementing one, like a serial primary key would.
+ * Writes are numbered with a change sequence for changesSince(), like the
+ * SQLite adapter.
+ */
+
+const { matchRow, sortRows, projectRow } = require('./filters');
+const { aggregateRows } = require('./aggregate');
+const { pollChanges } = require('./polling');
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create an in-memory storage adapter
+ *
+ * @param {object} options
+ * @param {object} options.tables - Optional initial rows keyed by table name
+ * @returns {object} Storage adapter
+ */
+function createMemoryStorage({ tables = {} } = {}) {
+  const data = new Map();
+  const versions = new WeakMap();
+  let nextId = 1;
+  let sequence = 0;
+
+  function touch(row) {
+    sequence++;
+    versions.set(row, { created: (versions.get(row) || { created: sequence }).created, changed: sequence });
+  }
+
+  function getTable(table) {
+    if (!data.has(table)) {
+      data.set(table, []);
+    }
+    return data.get(table);
+  }
+
+  function insertRows(table, records) {
+    const rows = getTable(table);
+    const list = Array.isArray(records) ? records : [records];
+
+    return list.map(record => {
+      const row = clone(record);
+      if (row.id === undefined || row.id === null) {
+        row.id = nextId++;
+      }
+      rows.push(row);
+      touch(row);
+      return clone(row);
+    });
+  }
+
+  Object.entries(tables).forEach(([table, rows]) => insertRows(table, rows));
+
+  return {
+    name: 'memory',
+
+    async insert(table, records, { returning = true } = {}) {
+      const inserted = insertRows(table, records);
+      return { data: returning ? inserted : null, error: null };
+    },
+
+    async upsert(table, records, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      const rows = getTable(table);
+      const written = [];
+
+      (Array.isArray(records) ? records : [records]).forEach(record => {
+        const existing = rows.find(row => row[onConflict] === record[onConflict]);
+        if (!existing) {
+          written.push(...insertRows(table, record));
+        } else if (!ignoreDuplicates) {
+          Object.assign(existing, clone(record));
+          touch(existing);
+          written.push(clone(existing));
+        }
+      });
+      return { data: written, error: null };
+    },
+
+    async update(table, where, changes) {
+      const updated = [];
+      getTable(table).forEach(row => {
+        if (matchRow(row, where)) {
+          Object.assign(row, clone(changes));
+          touch(row);
+          updated.push(clone(row));
+        }
+      });
+      return { data: updated, error: null };
+    },
+
+    async select(table, { columns = '*', where = [], orderBy = null, limit = null } = {}) {
+      let rows = getTable(table).filter(row => matchRow(row, where));
+      rows = sortRows(rows, orderBy);
+      if (limit) {
+        rows = rows.slice(0, limit);
+      }
+      return { data: rows.map(row => clone(projectRow(row, columns))), error: null };
+    },
+
+    async aggregate(table, { where = [], groupBy = [], metrics = {} } = {}) {
+      try {
+        const rows = getTable(table).filter(row => matchRow(row, where));
+        return { data: clone(aggregateRows(rows, { groupBy, metrics })), error: null };
+      } catch (err) {
+        return { data: null, error: err };
+      }
+    },
+
+    async changesSince(table, mark = null, { where = [], limit = 500 } = {}) {
+      if (mark === null || mark === undefined) {
+        return { data: { events: [], mark: sequence }, error: null };
+      }
+
+      const changed = getTable(table)
+        .filter(row => versions.get(row).changed > mark && matchRow(row, where))
+        .sort((a, b) => versions.get(a).changed - versions.get(b).changed)
+        .slice(0, limit);
+
+      return {
+        data: {
+          events: changed.map(row => ({ op: versions.get(row).created > mark ? 'insert' : 'update', row: clone(row) })),
+          mark: changed.length > 0 ? versions.get(changed[changed.length - 1]).changed : mark
+        },
+        error: null
+      };
+    },
+
+    async subscribe(table, options, handler) {
+      return pollChanges(this, table, options, handler);
+    },
+
+    async delete(table, where) {
+      const rows = getTable(table);
+      const removed = [];
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (matchRow(rows[i], where)) {
+          removed.unshift(rows.splice(i, 1)[0]);
+        }
+      }
+      return { data: removed, error: null };
+    },
+
+    async rpc(name) {
+      return { data: null, error: new Error(`RPC ${name} is not supported by memory storage`) };
+    },
+
+    async close() {
+      data.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,136 @@
+/**
+ * Storage pagination - Keyset (cursor) pagination on top of any storage adapter
+ *
+ * Pages are read with `WHERE (order columns) after (last row seen)` instead of
+ * OFFSET, so every page costs the same however deep the caller goes and rows
+ * written in the meantime do not shift pages. The cursor is opaque to callers
+ * (base64url JSON holding the last row's order values).
+ *
+ * The last order column must be unique (e.g. message_id or id) and order
+ * columns must not be null, or rows may be skipped between pages.
+ *
+ * Usage:
+ *   const { selectPage } = require('./storage/pagination');
+ *
+ *   let cursor = null;
+ *   do {
+ *     const { data, error } = await selectPage(getStorage(), 'mcp_tool_calls', {
+ *       where, orderBy: [{ column: 'timestamp', ascending: false }, { column: 'id', ascending: false }],
+ *       limit: 100, cursor
+ *     });
+ *     ...data.rows...
+ *     cursor = data.nextCursor;
+ *   } while (cursor);
+ */
+
+const { eq, gt, lt, anyOf, allOf } = require('./filters');
+
+/**
+ * Encode the order values of a row as an opaque cursor
+ *
+ * @param {object} row - Last row of a page
+ * @param {array} orderBy - [{ column, ascending }]
+ * @returns {string} Cursor
+ */
+function encodeCursor(row, orderBy) {
+  const payload = { k: orderBy.map(({ column }) => column), v: orderBy.map(({ column }) => row[column]) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, checking it was made for the same ordering
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @param {array} orderBy - [{ column, ascending }]
+ * @returns {array} Order values of the last row seen
+ */
+function decodeCursor(cursor, orderBy) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new Error('Invalid cursor');
+  }
+
+  const columns = orderBy.map(({ column }) => column);
+  if (!payload || !Array.isArray(payload.v) || JSON.stringify(payload.k) !== JSON.stringify(columns)) {
+    throw new Error('Invalid cursor: it does not belong to this query');
+  }
+  return payload.v;
+}
+
+/**
+ * Condition matching the rows after the cursor position:
+ * (a > va) OR (a = va AND b > vb) OR ...
+ *
+ * @param {array} orderBy - [{ column, ascending }]
+ * @param {array} values - Order values from decodeCursor()
+ * @returns {object} Condition
+ */
+function keysetCondition(orderBy, values) {
+  const branches = orderBy.map(({ column, ascending = true }, index) => {
+    const after = ascending ? gt(column, values[index]) : lt(column, values[index]);
+    const equal = orderBy.slice(0, index).map((previous, i) => eq(previous.column, values[i]));
+    return equal.length > 0 ? allOf(...equal, after) : after;
+  });
+  return anyOf(...branches);
+}
+
+/**
+ * Read one page of rows
+ *
+ * @param {object} storage - Storage adapter
+ * @param {string} table - Table name
+ * @param {object} options
+ * @param {string|array} options.columns - Columns to return (order columns are always included)
+ * @param {array} options.where - Where list
+ * @param {array} options.orderBy - [{ column, ascending }], last column unique
+ * @param {number} options.limit - Page size (default: 100)
+ * @param {string} options.cursor - nextCursor of the previous page (optional)
+ * @returns {object} { data: { rows, nextCursor }, error } - nextCursor is null on the last page
+ */
+async function selectPage(storage, table, { columns = '*', where = [], orderBy, limit = 100, cursor = null } = {}) {
+  const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+  let conditions = where;
+
+  if (cursor) {
+    try {
+      conditions = [...where, keysetCondition(orders, decodeCursor(cursor, orders))];
+    } catch (err) {
+      return { data: null, error: err };
+    }
+  }
+
+  let list = columns;
+  if (columns !== '*') {
+    list = Array.isArray(columns) ? [...columns] : columns.split(',').map(column => column.trim());
+    orders.forEach(({ column }) => {
+      if (!list.includes(column)) {
+        list.push(column);
+      }
+    });
+  }
+
+  // One extra row tells whether there is a next page
+  const { data, error } = await storage.select(table, {
+    columns: list,
+    where: conditions,
+    orderBy: orders,
+    limit: limit + 1
+  });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const rows = data.slice(0, limit);
+  const nextCursor = data.length > limit ? encodeCursor(rows[rows.length - 1], orders) : null;
+  return { data: { rows, nextCursor }, error: null };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  selectPage
+};
@@ -0,0 +1,81 @@
+/**
+ * Storage polling - subscribe() for adapters without a push channel
+ *
+ * Follows a table through the adapter's changesSince(): the first call
+ * returns the current change sequence (the high-water mark), every poll after
+ * that returns the rows written since, oldest first, and moves the mark on.
+ * Rows written between two polls are delivered once, with their latest data.
+ */
+
+const DEFAULT_INTERVAL_MS = 1000;
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * Start polling a table for new and updated rows
+ *
+ * @param {object} storage - Adapter with changesSince()
+ * @param {string} table - Table name
+ * @param {object} options
+ * @param {array} options.where - Only rows matching this where list
+ * @param {number} options.intervalMs - Pause between polls (default: 1000)
+ * @param {number} options.batchSize - Max rows per poll (default: 500)
+ * @param {function} handler - Called with { op: 'insert'|'update', row } for each change
+ * @returns {function} async unsubscribe()
+ */
+async function pollChanges(storage, table, {
+  where = [],
+  intervalMs = DEFAULT_INTERVAL_MS,
+  batchSize = DEFAULT_BATCH_SIZE
+} = {}, handler) {
+  const start = await storage.changesSince(table, null);
+  if (start.error) {
+    throw start.error;
+  }
+
+  let mark = start.data.mark;
+  let stopped = false;
+  let timer = null;
+  let polling = Promise.resolve();
+
+  async function poll() {
+    const { data, error } = await storage.changesSince(table, mark, { where, limit: batchSize });
+    if (error) {
+      console.warn(`Storage warning: polling ${table} failed:`, error.message);
+      return false;
+    }
+
+    mark = data.mark;
+    for (const event of data.events) {
+      if (stopped) {
+        break;
+      }
+      try {
+        await handler(event);
+      } catch (err) {
+        console.warn('Subscription handler error:', err.message);
+      }
+    }
+    return data.events.length >= batchSize;
+  }
+
+  function schedule(delay) {
+    timer = setTimeout(() => {
+      polling = poll().then(more => {
+        if (!stopped) {
+          // A full batch means more rows are waiting: poll again right away
+          schedule(more ? 0 : intervalMs);
+        }
+      });
+    }, delay);
+  }
+
+  schedule(intervalMs);
+
+  return async function unsubscribe() {
+    stopped = true;
+    clearTimeout(timer);
+    await polling;
+  };
+}
+
+module.exports = { pollChanges };
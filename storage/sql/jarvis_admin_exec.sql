@@ -0,0 +1,55 @@
+-- Statement runner for db-admin.js, callable by the service role only
+-- For JARVIS multi-agent system
+--
+-- Install once per project (SQL editor or psql -f storage/sql/jarvis_admin_exec.sql).
+-- migrate.js runs the migrations through it; the few steps that need the
+-- database owner are in storage/sql/owner_setup.sql, also run by hand.
+-- db-admin.js checks every statement against its allow-list and binds the
+-- parameters before calling this; the grants below keep agents holding the
+-- anon or authenticated key from calling it at all.
+--
+--   select jarvis_admin_exec('select * from tasks where status = ''pending''', true);
+--   -> [{...}, ...]
+--   select jarvis_admin_exec('update tasks set status = ''done'' where id = 42');
+--   -> {"rows": 1}
+--
+-- A statement it runs cannot call it again: the jarvis.admin_exec setting marks
+-- a running call and nested calls are refused, so an allowed `select` cannot
+-- wrap a statement db-admin.js would have rejected.
+--
+-- The old exec_sql function ran any SQL for any caller; migration 0007 drops it
+-- (node migrate.js up) when the service role owns it, owner_setup.sql otherwise.
+
+create or replace function jarvis_admin_exec(statement text, returns_rows boolean default false)
+returns jsonb
+language plpgsql
+security invoker
+as $$
+declare
+  result jsonb;
+  affected bigint;
+begin
+  if coalesce(current_setting('jarvis.admin_exec', true), '') = 'on' then
+    raise exception 'jarvis_admin_exec cannot be called from a statement it runs'
+      using errcode = 'insufficient_privilege';
+  end if;
+  -- Transaction-local, so an error that aborts the call also clears it
+  perform set_config('jarvis.admin_exec', 'on', true);
+
+  if returns_rows then
+    -- Works for selects and for insert/update/delete ... returning
+    execute format('with statement_rows as (%s) select coalesce(jsonb_agg(statement_rows), ''[]''::jsonb) from statement_rows', statement)
+      into result;
+  else
+    execute statement;
+    get diagnostics affected = row_count;
+    result := jsonb_build_object('rows', affected);
+  end if;
+
+  perform set_config('jarvis.admin_exec', '', true);
+  return result;
+end;
+$$;
+
+revoke all on function jarvis_admin_exec(text, boolean) from public, anon, authenticated;
+grant execute on function jarvis_admin_exec(text, boolean) to service_role;
@@ -0,0 +1,29 @@
+-- Setup steps only the database owner can run
+-- For JARVIS multi-agent system
+--
+-- Run once per project as the owner (SQL editor, or psql -U postgres -f
+-- storage/sql/owner_setup.sql), after `node migrate.js up`. Migrations run as
+-- the service role through jarvis_admin_exec(), which may neither change the
+-- supabase_realtime publication nor drop a function it does not own, so
+-- migrations 0001 and 0007 skip these steps with a notice. Safe to run again.
+
+-- subscribe() uses Supabase Realtime, which only sees tables in its publication
+do $$
+declare
+  logged_table text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    return;
+  end if;
+
+  foreach logged_table in array array['agent_communications', 'mcp_tool_calls'] loop
+    if not exists (select 1 from pg_publication_tables
+                   where pubname = 'supabase_realtime' and tablename = logged_table) then
+      execute format('alter publication supabase_realtime add table %I', logged_table);
+    end if;
+  end loop;
+end;
+$$;
+
+-- The old exec_sql RPC ran any SQL for any caller (see migrations/0007_drop_exec_sql.up.sql)
+drop function if exists exec_sql(text);
@@ -0,0 +1,410 @@
+/**
+ * SQLite storage adapter - Local file backend for CI and offline dev boxes
+ *
+ * Each table is created on first use and keeps one JSON document per row, so
+ * no schema has to be set up before logging. Uses the built-in `node:sqlite`
+ * module when the Node version has it, otherwise `better-sqlite3`
+ * (npm install better-sqlite3).
+ *
+ * Every write stamps the row with a per-table change sequence (created_seq,
+ * change_seq), which changesSince() uses as a high-water mark, so other
+ * processes can follow new and updated rows by polling the same file.
+ * Row ids and change sequences are kept in the jarvis_sequences table, so
+ * they never go backwards when the newest rows are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assertIdentifier, projectRow, searchTerms } = require('./filters');
+const { assertAggregateSpec, percentile } = require('./aggregate');
+const { pollChanges } = require('./polling');
+
+/**
+ * Open a SQLite database with whichever driver is available
+ */
+function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filename);
+  } catch (err) {
+    if (err.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && err.code !== 'MODULE_NOT_FOUND') {
+      throw err;
+    }
+  }
+
+  const Database = require('better-sqlite3');
+  return new Database(filename);
+}
+
+function columnSql(column, path = []) {
+  const keys = [column, ...path].map(assertIdentifier).join('.');
+  return `json_extract(data, '$.${keys}')`;
+}
+
+const COMPARISONS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function toSqlValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Translate a condition into a SQL fragment, pushing its parameters
+ */
+function conditionSql(condition, params) {
+  if (condition.or) {
+    const parts = condition.or.map(nested => conditionSql(nested, params));
+    return parts.length > 0 ? `(${parts.join(' OR ')})` : '0';
+  }
+  if (condition.and) {
+    const parts = condition.and.map(nested => conditionSql(nested, params));
+    return parts.length > 0 ? `(${parts.join(' AND ')})` : '1';
+  }
+  if (condition.not) {
+    const parts = condition.not.map(nested => conditionSql(nested, params));
+    return parts.length > 0 ? `NOT COALESCE(${parts.join(' AND ')}, 0)` : '0';
+  }
+
+  const column = columnSql(condition.column);
+
+  switch (condition.op) {
+    case 'eq':
+      if (condition.value === null || condition.value === undefined) {
+        return `${column} IS NULL`;
+      }
+      params.push(toSqlValue(condition.value));
+      return `${column} = ?`;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      params.push(toSqlValue(condition.value));
+      return `${column} ${COMPARISONS[condition.op]} ?`;
+    case 'in':
+      if (condition.value.length === 0) {
+        return '0';
+      }
+      params.push(...condition.value.map(toSqlValue));
+      return `${column} IN (${condition.value.map(() => '?').join(', ')})`;
+    case 'contains': {
+      const parts = condition.value.map(value => {
+        params.push(toSqlValue(value));
+        return `EXISTS (SELECT 1 FROM json_each(data, '$.${assertIdentifier(condition.column)}') WHERE value = ?)`;
+      });
+      return parts.length > 0 ? `(${parts.join(' AND ')})` : `json_type(data, '$.${assertIdentifier(condition.column)}') = 'array'`;
+    }
+    case 'search': {
+      const target = columnSql(condition.column, condition.path);
+      const parts = [`${target} IS NOT NULL`, ...searchTerms(condition.value).map(term => {
+        params.push(`%${term.replace(/[\\%_]/g, '\\$&')}%`);
+        return `lower(${target}) LIKE ? ESCAPE '\\'`;
+      })];
+      return `(${parts.join(' AND ')})`;
+    }
+    default:
+      throw new Error(`Unsupported filter operator: ${condition.op}`);
+  }
+}
+
+function whereSql(where = [], params) {
+  if (where.length === 0) {
+    return '';
+  }
+  return ` WHERE ${where.map(condition => conditionSql(condition, params)).join(' AND ')}`;
+}
+
+function orderSql(orderBy) {
+  if (!orderBy) {
+    return '';
+  }
+  const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+  const parts = orders.map(({ column, ascending = true }) => {
+    const expr = columnSql(column);
+    return `(${expr} IS NULL), ${expr} ${ascending ? 'ASC' : 'DESC'}`;
+  });
+  return ` ORDER BY ${parts.join(', ')}, rowid ASC`;
+}
+
+/**
+ * Translate an aggregate metric into a SQL expression, pushing its parameters.
+ * Percentiles are collected as a JSON array per group and computed afterwards.
+ */
+function metricSql(metric, params) {
+  const column = metric.column ? columnSql(metric.column) : null;
+  const filters = (metric.where || []).map(condition => conditionSql(condition, params));
+  if (metric.fn === 'percentile') {
+    filters.push(`${column} IS NOT NULL`);
+  }
+  const filter = filters.length > 0 ? ` FILTER (WHERE ${filters.join(' AND ')})` : '';
+
+  switch (metric.fn) {
+    case 'count':
+      return `COUNT(${column || '*'})${filter}`;
+    case 'percentile':
+      return `json_group_array(${column})${filter}`;
+    default:
+      return `${metric.fn.toUpperCase()}(${column})${filter}`;
+  }
+}
+
+/**
+ * Create a SQLite storage adapter
+ *
+ * @param {object} options
+ * @param {string} options.filename - Database file path (or ':memory:')
+ * @returns {object} Storage adapter
+ */
+function createSqliteStorage({ filename = 'jarvis-logs.sqlite' } = {}) {
+  let db = null;
+  const knownTables = new Set();
+
+  function getDb() {
+    if (!db) {
+      db = openDatabase(filename);
+      db.exec('CREATE TABLE IF NOT EXISTS jarvis_sequences (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+    }
+    return db;
+  }
+
+  function tableSql(table) {
+    assertIdentifier(table);
+    if (!knownTables.has(table)) {
+      const database = getDb();
+      database.exec(`CREATE TABLE IF NOT EXISTS "${table}" (
+        rowid INTEGER PRIMARY KEY, data TEXT NOT NULL, created_seq INTEGER, change_seq INTEGER
+      )`);
+      // Files created before change tracking lack the sequence columns
+      const columns = database.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name);
+      ['created_seq', 'change_seq'].filter(column => !columns.includes(column)).forEach(column => {
+        database.exec(`ALTER TABLE "${table}" ADD COLUMN ${column} INTEGER`);
+      });
+      database.exec(`CREATE INDEX IF NOT EXISTS "${table}_change_seq" ON "${table}" (change_seq)`);
+      knownTables.add(table);
+    }
+    return `"${table}"`;
+  }
+
+  /**
+   * Last value handed out by a table's sequence (rowid or change_seq). Files
+   * written before sequences were stored start from the column's maximum.
+   */
+  function currentSequence(database, table, column) {
+    const stored = database.prepare('SELECT value FROM jarvis_sequences WHERE name = ?').get(`${table}.${column}`);
+    const { current } = database.prepare(`SELECT COALESCE(MAX(${column}), 0) AS current FROM ${tableSql(table)}`).get();
+    return Math.max(Number(current), stored ? Number(stored.value) : 0);
+  }
+
+  /**
+   * Counter over a table's sequence (call inside a transaction)
+   */
+  function sequence(database, table, column) {
+    const save = database.prepare(
+      'INSERT INTO jarvis_sequences (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value'
+    );
+    let value = currentSequence(database, table, column);
+    return () => {
+      value += 1;
+      save.run(`${table}.${column}`, value);
+      return value;
+    };
+  }
+
+  function transaction(fn) {
+    const database = getDb();
+    // IMMEDIATE takes the write lock up front, so concurrent writers cannot hand out the same sequence
+    database.exec('BEGIN IMMEDIATE');
+    try {
+      const result = fn(database);
+      database.exec('COMMIT');
+      return result;
+    } catch (err) {
+      database.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  function selectRows(table, where) {
+    const params = [];
+    const sql = `SELECT rowid, data FROM ${tableSql(table)}${whereSql(where, params)}`;
+    return getDb().prepare(sql).all(...params);
+  }
+
+  function settle(fn) {
+    try {
+      return { data: fn(), error: null };
+    } catch (err) {
+      return { data: null, error: err };
+    }
+  }
+
+  return {
+    name: 'sqlite',
+
+    async insert(table, records, { returning = true } = {}) {
+      const result = settle(() => transaction(database => {
+        const name = tableSql(table);
+        const list = Array.isArray(records) ? records : [records];
+        const insert = database.prepare(`INSERT INTO ${name} (rowid, data, created_seq, change_seq) VALUES (?, ?, ?, ?)`);
+        const nextRowid = sequence(database, table, 'rowid');
+        const nextChange = sequence(database, table, 'change_seq');
+
+        return list.map(record => {
+          const rowid = nextRowid();
+          const row = { ...record };
+          if (row.id === undefined || row.id === null) {
+            row.id = rowid;
+          }
+          const change = nextChange();
+          insert.run(rowid, JSON.stringify(row), change, change);
+          return row;
+        });
+      }));
+      return returning || result.error ? result : { data: null, error: null };
+    },
+
+    async upsert(table, records, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      return settle(() => transaction(database => {
+        const name = tableSql(table);
+        const find = database.prepare(`SELECT rowid, data FROM ${name} WHERE ${columnSql(onConflict)} = ? LIMIT 1`);
+        const insert = database.prepare(`INSERT INTO ${name} (rowid, data, created_seq, change_seq) VALUES (?, ?, ?, ?)`);
+        const update = database.prepare(`UPDATE ${name} SET data = ?, change_seq = ? WHERE rowid = ?`);
+        const nextRowid = sequence(database, table, 'rowid');
+        const nextChange = sequence(database, table, 'change_seq');
+        const written = [];
+
+        (Array.isArray(records) ? records : [records]).forEach(record => {
+          const existing = find.get(toSqlValue(record[onConflict]));
+          if (!existing) {
+            const rowid = nextRowid();
+            const row = { ...record };
+            if (row.id === undefined || row.id === null) {
+              row.id = rowid;
+            }
+            const change = nextChange();
+            insert.run(rowid, JSON.stringify(row), change, change);
+            written.push(row);
+          } else if (!ignoreDuplicates) {
+            const row = { ...JSON.parse(existing.data), ...record };
+            update.run(JSON.stringify(row), nextChange(), existing.rowid);
+            written.push(row);
+          }
+        });
+        return written;
+      }));
+    },
+
+    async update(table, where, changes) {
+      return settle(() => transaction(database => {
+        const name = tableSql(table);
+        const update = database.prepare(`UPDATE ${name} SET data = ?, change_seq = ? WHERE rowid = ?`);
+        const nextChange = sequence(database, table, 'change_seq');
+        return selectRows(table, where).map(({ rowid, data }) => {
+          const row = { ...JSON.parse(data), ...changes };
+          update.run(JSON.stringify(row), nextChange(), rowid);
+          return row;
+        });
+      }));
+    },
+
+    async select(table, { columns = '*', where = [], orderBy = null, limit = null } = {}) {
+      return settle(() => {
+        const params = [];
+        let sql = `SELECT data FROM ${tableSql(table)}${whereSql(where, params)}${orderSql(orderBy)}`;
+        if (limit) {
+          sql += ' LIMIT ?';
+          params.push(limit);
+        }
+        return getDb().prepare(sql).all(...params)
+          .map(({ data }) => projectRow(JSON.parse(data), columns));
+      });
+    },
+
+    async aggregate(table, { where = [], groupBy = [], metrics = {} } = {}) {
+      return settle(() => {
+        assertAggregateSpec({ groupBy, metrics });
+        const params = [];
+        const names = Object.keys(metrics);
+        const select = [
+          ...groupBy.map((column, index) => `${columnSql(column)} AS g${index}`),
+          ...names.map((name, index) => `${metricSql(metrics[name], params)} AS m${index}`)
+        ];
+        let sql = `SELECT ${select.join(', ')} FROM ${tableSql(table)}${whereSql(where, params)}`;
+        if (groupBy.length > 0) {
+          sql += ` GROUP BY ${groupBy.map((column, index) => `g${index}`).join(', ')}`;
+        }
+
+        return getDb().prepare(sql).all(...params).map(row => {
+          const result = {};
+          groupBy.forEach((column, index) => {
+            result[column] = row[`g${index}`];
+          });
+          names.forEach((name, index) => {
+            const value = row[`m${index}`];
+            result[name] = metrics[name].fn === 'percentile'
+              ? percentile(JSON.parse(value || '[]').map(Number).sort((a, b) => a - b), metrics[name].p)
+              : value;
+          });
+          return result;
+        });
+      });
+    },
+
+    async changesSince(table, mark = null, { where = [], limit = 500 } = {}) {
+      return settle(() => {
+        const name = tableSql(table);
+        if (mark === null || mark === undefined) {
+          return { events: [], mark: currentSequence(getDb(), table, 'change_seq') };
+        }
+
+        const params = [mark];
+        const conditions = ['change_seq > ?', ...where.map(condition => conditionSql(condition, params))];
+        params.push(limit);
+        const rows = getDb()
+          .prepare(`SELECT data, created_seq, change_seq FROM ${name} WHERE ${conditions.join(' AND ')} ORDER BY change_seq LIMIT ?`)
+          .all(...params);
+
+        return {
+          events: rows.map(row => ({ op: Number(row.created_seq) > mark ? 'insert' : 'update', row: JSON.parse(row.data) })),
+          mark: rows.length > 0 ? Number(rows[rows.length - 1].change_seq) : mark
+        };
+      });
+    },
+
+    async subscribe(table, options, handler) {
+      return pollChanges(this, table, options, handler);
+    },
+
+    async delete(table, where) {
+      return settle(() => transaction(database => {
+        const remove = database.prepare(`DELETE FROM ${tableSql(table)} WHERE rowid = ?`);
+        return selectRows(table, where).map(({ rowid, data }) => {
+          remove.run(rowid);
+          return JSON.parse(data);
+        });
+      }));
+    },
+
+    async rpc(name) {
+      return { data: null, error: new Error(`RPC ${name} is not supported by sqlite storage`) };
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+        knownTables.clear();
+      }
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,281 @@
+/**
+ * Supabase storage adapter - Remote Supabase/PostgREST backend
+ *
+ * The client is only created on first use, so requiring the loggers never
+ * opens a connection by itself.
+ *
+ * aggregate() runs in Postgres through the jarvis_aggregate() function from
+ * migrations/0003_aggregate_rpc.up.sql. Until that is installed it falls back to
+ * reading the needed columns and aggregating client-side.
+ *
+ * subscribe() uses Supabase Realtime (postgres_changes), so the table must be
+ * part of the supabase_realtime publication (storage/sql/owner_setup.sql).
+ */
+
+const { assertIdentifier, searchTerms, matchRow } = require('./filters');
+const { assertAggregateSpec, aggregateColumns, aggregateRows } = require('./aggregate');
+
+// PostgREST error code for an RPC function that does not exist
+const MISSING_FUNCTION = 'PGRST202';
+
+/**
+ * Apply a where list to a PostgREST query builder
+ */
+function applyWhere(query, where = []) {
+  where.forEach(condition => {
+    if (condition.or) {
+      query = query.or(condition.or.map(orFilterString).join(','));
+      return;
+    }
+    if (condition.and) {
+      query = applyWhere(query, condition.and);
+      return;
+    }
+    if (condition.not) {
+      // PostgREST has no top-level negated group, but `or` accepts one
+      query = query.or(orFilterString(condition));
+      return;
+    }
+    query = applyCondition(query, condition);
+  });
+  return query;
+}
+
+/**
+ * Column reference for PostgREST, with a JSON path as `payload->>message`
+ */
+function columnRef(column, path = []) {
+  if (path.length === 0) {
+    return column;
+  }
+  const keys = [column, ...path];
+  return `${keys.slice(0, -1).join('->')}->>${keys[keys.length - 1]}`;
+}
+
+const SEARCH_OPTIONS = { type: 'websearch', config: 'simple' };
+
+function applyCondition(query, { column, path, op, value }) {
+  switch (op) {
+    case 'eq':
+      return value === null || value === undefined ? query.is(column, null) : query.eq(column, value);
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return query[op](column, value);
+    case 'in':
+      return query.in(column, value);
+    case 'contains':
+      return query.contains(column, value);
+    case 'search':
+      return query.textSearch(columnRef(column, path), searchTerms(value).join(' '), SEARCH_OPTIONS);
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+/**
+ * Render a condition in PostgREST `or=(...)` syntax
+ */
+function orFilterString(condition) {
+  if (condition.or) {
+    return `or(${condition.or.map(orFilterString).join(',')})`;
+  }
+  if (condition.and) {
+    return `and(${condition.and.map(orFilterString).join(',')})`;
+  }
+  if (condition.not) {
+    return `not.and(${condition.not.map(orFilterString).join(',')})`;
+  }
+
+  const { column, path, op, value } = condition;
+  switch (op) {
+    case 'eq':
+      return value === null || value === undefined ? `${column}.is.null` : `${column}.eq.${quoteValue(value)}`;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return `${column}.${op}.${quoteValue(value)}`;
+    case 'in':
+      return `${column}.in.(${value.map(quoteValue).join(',')})`;
+    case 'contains':
+      return `${column}.cs.{${value.map(quoteValue).join(',')}}`;
+    case 'search':
+      return `${columnRef(column, path)}.wfts(simple).${quoteValue(searchTerms(value).join(' '))}`;
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+function quoteValue(value) {
+  const text = String(value);
+  return /[,.():"\\]/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+}
+
+function applyOrder(query, orderBy) {
+  if (!orderBy) {
+    return query;
+  }
+  const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+  orders.forEach(({ column, ascending = true }) => {
+    query = query.order(column, { ascending });
+  });
+  return query;
+}
+
+/**
+ * Realtime can filter on one column server-side; use the first plain equality
+ * (the full where list is still checked client-side)
+ */
+function realtimeFilter(where) {
+  const condition = where.find(c => c.op === 'eq' && c.value !== null && c.value !== undefined &&
+    ['string', 'number', 'boolean'].includes(typeof c.value));
+  return condition ? `${condition.column}=eq.${condition.value}` : null;
+}
+
+/**
+ * Build and await a query, turning thrown errors into { data, error } results
+ */
+async function settle(build) {
+  try {
+    const { data, error } = await build();
+    return { data: data === undefined ? null : data, error: error || null };
+  } catch (err) {
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Create a Supabase storage adapter
+ *
+ * @param {object} options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.key - Supabase API key
+ * @param {object} options.client - Existing Supabase client (optional)
+ * @returns {object} Storage adapter
+ */
+function createSupabaseStorage({ url, key, client = null } = {}) {
+  let supabase = client;
+  let warnedMissingAggregate = false;
+  let channelCount = 0;
+
+  function getClient() {
+    if (!supabase) {
+      // Install: npm install @supabase/supabase-js
+      const { createClient } = require('@supabase/supabase-js');
+      supabase = createClient(url, key);
+    }
+    return supabase;
+  }
+
+  return {
+    name: 'supabase',
+
+    get client() {
+      return getClient();
+    },
+
+    async insert(table, records, { returning = true } = {}) {
+      return settle(() => {
+        // Keys missing from some rows of a batch get the column default instead of NULL
+        const query = getClient().from(table).insert(records, { defaultToNull: false });
+        return returning ? query.select() : query;
+      });
+    },
+
+    async upsert(table, records, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+      return settle(() => getClient().from(table)
+        .upsert(records, { onConflict, ignoreDuplicates, defaultToNull: false })
+        .select());
+    },
+
+    async update(table, where, changes) {
+      return settle(() => applyWhere(getClient().from(table).update(changes), where).select());
+    },
+
+    async select(table, { columns = '*', where = [], orderBy = null, limit = null } = {}) {
+      return settle(() => {
+        const list = Array.isArray(columns) ? columns.join(', ') : columns;
+        let query = applyWhere(getClient().from(table).select(list), where);
+        query = applyOrder(query, orderBy);
+        return limit ? query.limit(limit) : query;
+      });
+    },
+
+    async aggregate(table, { where = [], groupBy = [], metrics = {} } = {}) {
+      try {
+        assertIdentifier(table);
+        assertAggregateSpec({ groupBy, metrics });
+      } catch (err) {
+        return { data: null, error: err };
+      }
+
+      const result = await settle(() => getClient().rpc('jarvis_aggregate', {
+        spec: { table, where, group_by: groupBy, metrics }
+      }));
+      if (!result.error || result.error.code !== MISSING_FUNCTION) {
+        return result;
+      }
+
+      if (!warnedMissingAggregate) {
+        warnedMissingAggregate = true;
+        console.warn('Storage warning: jarvis_aggregate() is not installed, aggregating client-side (run node migrate.js up, see migrations/0003_aggregate_rpc.up.sql)');
+      }
+      const rows = await settle(() => applyWhere(
+        getClient().from(table).select(aggregateColumns({ groupBy, metrics }).join(', ') || 'id'),
+        where
+      ));
+      return rows.error ? rows : { data: aggregateRows(rows.data, { groupBy, metrics }), error: null };
+    },
+
+    async subscribe(table, { where = [] } = {}, handler) {
+      assertIdentifier(table);
+      const filter = realtimeFilter(where);
+      const channel = getClient().channel(`jarvis-${table}-${++channelCount}`);
+      let delivering = Promise.resolve();
+
+      channel.on('postgres_changes', { event: '*', schema: 'public', table, ...(filter ? { filter } : {}) }, payload => {
+        const op = { INSERT: 'insert', UPDATE: 'update' }[payload.eventType];
+        if (!op || !matchRow(payload.new, where)) {
+          return;
+        }
+        // One at a time, in arrival order
+        delivering = delivering
+          .then(() => handler({ op, row: payload.new }))
+          .catch(err => console.warn('Subscription handler error:', err.message));
+      });
+
+      await new Promise((resolve, reject) => {
+        channel.subscribe((status, err) => {
+          if (status === 'SUBSCRIBED') {
+            resolve();
+          } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+            reject(err || new Error(`Realtime subscription to ${table} failed: ${status}`));
+          }
+        });
+      });
+
+      return async function unsubscribe() {
+        await getClient().removeChannel(channel);
+        await delivering;
+      };
+    },
+
+    async delete(table, where) {
+      return settle(() => applyWhere(getClient().from(table).delete(), where).select());
+    },
+
+    async rpc(name, params = {}) {
+      return settle(() => getClient().rpc(name, params));
+    },
+
+    async close() {
+      if (supabase && typeof supabase.removeAllChannels === 'function') {
+        await supabase.removeAllChannels();
+      }
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,443 @@
+/**
+ * Task Queue - Priority queue with leases on top of the `tasks` table
+ * For JARVIS multi-agent system
+ *
+ * A task moves through:
+ *
+ *   pending --claim--> running --complete--> completed
+ *      ^                  |
+ *      +---- fail --------+----- fail, no attempts left --> dead
+ *
+ * Claiming is atomic on every backend: the update only applies while the
+ * task still has the status, lease and attempt count the worker read, so
+ * when agents race for the same task exactly one of them gets it. A claim
+ * is a lease that runs out after the visibility timeout unless the worker
+ * sends heartbeats; tasks with an expired lease can be claimed again.
+ *
+ * A failed task is retried with exponential backoff (base * 2^(attempt - 1),
+ * capped) until it has used max_attempts; then it is dead-lettered (status
+ * 'dead') and stays there until retryDeadTask() puts it back.
+ *
+ * The queue columns are added by migrations/0004_task_queue.up.sql; tasks
+ * inserted without them are treated as available right away.
+ *
+ * Usage:
+ *   const { enqueueTask, claimTask, completeTask, failTask, startTaskWorker } = require('./task-queue');
+ *
+ *   await enqueueTask({ categoryId: '00', agentName: 'agent-orchestration', taskType: 'sync',
+ *                       payload: { repo: 'infra' }, priority: 8, delayMs: 60000 });
+ *
+ *   const task = await claimTask({ workerId: 'agent-00#1', categoryId: '00' });
+ *   if (task) {
+ *     await completeTask(task, { synced: 12 });     // or: await failTask(task, err)
+ *   }
+ *
+ *   // Or let a worker loop claim, heartbeat and complete/fail:
+ *   const stop = startTaskWorker({ workerId: 'agent-00#1', categoryId: '00', handler: async task => ({ ok: true }) });
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { eq, lt, lte, oneOf, anyOf, allOf } = require('./storage/filters');
+
+const TASKS_TABLE = 'tasks';
+
+const TASK_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const DEFAULT_PRIORITY = 5;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_VISIBILITY_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_BACKOFF = { baseMs: 1000, maxMs: 5 * 60 * 1000 };
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+// Highest priority first, then the longest waiting
+const CLAIM_ORDER = [
+  { column: 'priority', ascending: false },
+  { column: 'available_at', ascending: true },
+  { column: 'id', ascending: true }
+];
+
+class TaskLeaseError extends Error {
+  constructor(task) {
+    super(`Lease on task ${task.id} was lost (expired and claimed again, or the task was changed)`);
+    this.name = 'TaskLeaseError';
+    this.taskId = task.id;
+  }
+}
+
+function later(now, ms) {
+  return new Date(now.getTime() + ms).toISOString();
+}
+
+function attemptsOf(task) {
+  return task.attempts === null || task.attempts === undefined ? 0 : task.attempts;
+}
+
+function maxAttemptsOf(task) {
+  return task.max_attempts === null || task.max_attempts === undefined ? DEFAULT_MAX_ATTEMPTS : task.max_attempts;
+}
+
+/**
+ * Conditions that only match the task as it was read (compare-and-set)
+ */
+function unchanged(task) {
+  return [
+    eq('id', task.id),
+    eq('status', task.status),
+    eq('lease_token', task.lease_token === undefined ? null : task.lease_token),
+    eq('attempts', task.attempts === undefined ? null : task.attempts)
+  ];
+}
+
+async function updateTask(task, changes) {
+  const { data, error } = await getStorage().update(TASKS_TABLE, unchanged(task), {
+    ...changes,
+    updated_at: new Date().toISOString()
+  });
+  if (error) {
+    console.warn('Task Queue warning:', error.message);
+    return { task: null, error };
+  }
+  if (!data || data.length === 0) {
+    return { task: null, error: new TaskLeaseError(task) };
+  }
+  return { task: data[0], error: null };
+}
+
+const RELEASED_LEASE = { lease_owner: null, lease_token: null, lease_expires_at: null };
+
+/**
+ * Delay before retry number `attempt` (1 = first retry)
+ *
+ * @param {number} attempt - Attempts used so far
+ * @param {object} backoff - { baseMs, maxMs }
+ * @returns {number} Delay in ms
+ */
+function retryDelayMs(attempt, { baseMs = DEFAULT_BACKOFF.baseMs, maxMs = DEFAULT_BACKOFF.maxMs } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+}
+
+/**
+ * Add a task to the queue
+ *
+ * @param {object} task
+ * @param {string} task.categoryId - Category (e.g. '00')
+ * @param {string} task.agentName - Agent the task is for
+ * @param {string} task.taskType - Task type
+ * @param {object} task.payload - Task input
+ * @param {number} task.priority - Higher runs first (default: 5)
+ * @param {number} task.delayMs - Not claimable before this delay (default: 0)
+ * @param {number} task.maxAttempts - Attempts before the task is dead-lettered (default: 5)
+ * @returns {object|null} Task row, or null on failure
+ */
+async function enqueueTask({
+  categoryId,
+  agentName,
+  taskType,
+  payload = null,
+  priority = DEFAULT_PRIORITY,
+  delayMs = 0,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS
+}) {
+  const now = new Date();
+  const { data, error } = await getStorage().insert(TASKS_TABLE, {
+    category_id: categoryId,
+    agent_name: agentName,
+    task_type: taskType,
+    status: 'pending',
+    priority,
+    payload,
+    result: null,
+    attempts: 0,
+    max_attempts: maxAttempts,
+    available_at: later(now, delayMs),
+    ...RELEASED_LEASE,
+    last_error: null,
+    created_at: now.toISOString()
+  });
+
+  if (error) {
+    console.error('Error enqueueing task:', error.message);
+    return null;
+  }
+
+  return data[0];
+}
+
+function scopeWhere({ categoryId = null, agentName = null, taskTypes = null }) {
+  const where = [];
+  if (categoryId !== null) {
+    where.push(eq('category_id', categoryId));
+  }
+  if (agentName !== null) {
+    where.push(eq('agent_name', agentName));
+  }
+  if (taskTypes !== null) {
+    where.push(oneOf('task_type', Array.isArray(taskTypes) ? taskTypes : [taskTypes]));
+  }
+  return where;
+}
+
+/**
+ * Claim the next available task and lease it to a worker
+ *
+ * @param {object} options
+ * @param {string} options.workerId - Worker claiming the task
+ * @param {string} options.categoryId - Only tasks of this category (optional)
+ * @param {string} options.agentName - Only tasks for this agent (optional)
+ * @param {string|array} options.taskTypes - Only these task types (optional)
+ * @param {number} options.visibilityTimeoutMs - Lease length (default: 5 minutes)
+ * @param {number} options.candidates - Tasks to try when others win the race (default: 10)
+ * @returns {object|null} Claimed task (keep it for heartbeat/complete/fail), or null if none is available
+ */
+async function claimTask({
+  workerId,
+  visibilityTimeoutMs = DEFAULT_VISIBILITY_TIMEOUT_MS,
+  candidates = 10,
+  ...scope
+}) {
+  if (!workerId) {
+    throw new Error('claimTask needs a workerId');
+  }
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const { data, error } = await getStorage().select(TASKS_TABLE, {
+    where: [
+      anyOf(
+        allOf(eq('status', 'pending'), lte('available_at', nowIso)),
+        allOf(eq('status', 'pending'), eq('available_at', null)),
+        allOf(eq('status', 'running'), lt('lease_expires_at', nowIso))
+      ),
+      ...scopeWhere(scope)
+    ],
+    orderBy: CLAIM_ORDER,
+    limit: candidates
+  });
+
+  if (error) {
+    console.warn('Task Queue warning:', error.message);
+    return null;
+  }
+
+  for (const task of data) {
+    // The last attempt's worker went away without completing or failing the task
+    if (task.status === 'running' && attemptsOf(task) >= maxAttemptsOf(task)) {
+      await updateTask(task, { status: 'dead', last_error: 'Lease expired on the last attempt', ...RELEASED_LEASE });
+      continue;
+    }
+
+    const { task: claimed } = await updateTask(task, {
+      status: 'running',
+      attempts: attemptsOf(task) + 1,
+      lease_owner: workerId,
+      lease_token: crypto.randomUUID(),
+      lease_expires_at: later(now, visibilityTimeoutMs),
+      started_at: nowIso
+    });
+    if (claimed) {
+      return claimed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extend the lease of a running task
+ *
+ * @param {object} task - Task from claimTask() (or the last heartbeat)
+ * @param {object} options
+ * @param {number} options.visibilityTimeoutMs - New lease length from now (default: 5 minutes)
+ * @returns {object} { task, error } - use the returned task from now on; error is a TaskLeaseError if the lease was lost
+ */
+async function heartbeatTask(task, { visibilityTimeoutMs = DEFAULT_VISIBILITY_TIMEOUT_MS } = {}) {
+  return updateTask(task, { lease_expires_at: later(new Date(), visibilityTimeoutMs) });
+}
+
+/**
+ * Mark a running task as completed
+ *
+ * @param {object} task - Task from claimTask() or heartbeatTask()
+ * @param {*} result - Task output
+ * @returns {object} { task, error }
+ */
+async function completeTask(task, result = null) {
+  return updateTask(task, {
+    status: 'completed',
+    result,
+    completed_at: new Date().toISOString(),
+    ...RELEASED_LEASE
+  });
+}
+
+/**
+ * Mark a running task as failed: back to pending after a backoff delay, or
+ * dead when it has no attempts left
+ *
+ * @param {object} task - Task from claimTask() or heartbeatTask()
+ * @param {Error|string} failure - What went wrong
+ * @param {object} options
+ * @param {boolean} options.retry - Retry if attempts are left (default: true)
+ * @param {object} options.backoff - { baseMs, maxMs } (default: 1 s doubling up to 5 min)
+ * @returns {object} { task, error }
+ */
+async function failTask(task, failure, { retry = true, backoff = DEFAULT_BACKOFF } = {}) {
+  const now = new Date();
+  const lastError = failure instanceof Error ? failure.message : String(failure);
+  const attempts = attemptsOf(task);
+
+  if (retry && attempts < maxAttemptsOf(task)) {
+    return updateTask(task, {
+      status: 'pending',
+      available_at: later(now, retryDelayMs(attempts, backoff)),
+      last_error: lastError,
+      ...RELEASED_LEASE
+    });
+  }
+
+  return updateTask(task, {
+    status: 'dead',
+    last_error: lastError,
+    completed_at: now.toISOString(),
+    ...RELEASED_LEASE
+  });
+}
+
+/**
+ * List dead-lettered tasks, most recent first
+ *
+ * @param {object} filters - { categoryId, agentName, taskTypes, limit }
+ * @returns {array} Task rows
+ */
+async function getDeadTasks({ limit = 100, ...scope } = {}) {
+  const { data, error } = await getStorage().select(TASKS_TABLE, {
+    where: [eq('status', 'dead'), ...scopeWhere(scope)],
+    orderBy: [{ column: 'completed_at', ascending: false }, { column: 'id', ascending: false }],
+    limit
+  });
+
+  if (error) {
+    console.error('Error querying dead tasks:', error.message);
+    return [];
+  }
+
+  return data;
+}
+
+/**
+ * Put a dead-lettered task back in the queue with fresh attempts
+ *
+ * @param {number|string} taskId - Task ID
+ * @returns {object} { task, error }
+ */
+async function retryDeadTask(taskId) {
+  const { data, error } = await getStorage().select(TASKS_TABLE, { where: [eq('id', taskId)], limit: 1 });
+  if (error) {
+    console.warn('Task Queue warning:', error.message);
+    return { task: null, error };
+  }
+  if (!data[0] || data[0].status !== 'dead') {
+    return { task: null, error: new Error(`Task ${taskId} is not dead-lettered`) };
+  }
+
+  return updateTask(data[0], {
+    status: 'pending',
+    attempts: 0,
+    available_at: new Date().toISOString(),
+    completed_at: null
+  });
+}
+
+/**
+ * Claim and run tasks in a loop: heartbeats while the handler runs, then
+ * completes the task with the handler's result or fails it with its error.
+ * Keeps the process alive until stopped.
+ *
+ * @param {object} options - claimTask() options, plus:
+ * @param {function} options.handler - async task => result
+ * @param {number} options.pollIntervalMs - Wait when the queue is empty (default: 1 s)
+ * @param {object} options.backoff - Retry backoff for failTask()
+ * @returns {function} async stop() - resolves once the current task is finished
+ */
+function startTaskWorker({
+  handler,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  visibilityTimeoutMs = DEFAULT_VISIBILITY_TIMEOUT_MS,
+  backoff = DEFAULT_BACKOFF,
+  ...claimOptions
+}) {
+  let stopped = false;
+  let wake = null;
+
+  async function runTask(task) {
+    let current = task;
+    const heartbeat = setInterval(async () => {
+      const { task: extended, error } = await heartbeatTask(current, { visibilityTimeoutMs });
+      if (extended) {
+        current = extended;
+      } else if (error instanceof TaskLeaseError) {
+        console.warn('Task Queue warning:', error.message);
+      }
+    }, Math.max(1000, Math.floor(visibilityTimeoutMs / 3)));
+
+    let outcome;
+    try {
+      const result = await handler(task);
+      clearInterval(heartbeat);
+      outcome = await completeTask(current, result);
+    } catch (err) {
+      clearInterval(heartbeat);
+      outcome = await failTask(current, err, { backoff });
+    }
+    if (outcome.error instanceof TaskLeaseError) {
+      console.warn('Task Queue warning:', outcome.error.message);
+    }
+  }
+
+  const loop = (async () => {
+    while (!stopped) {
+      let task = null;
+      try {
+        task = await claimTask({ ...claimOptions, visibilityTimeoutMs });
+        if (task) {
+          await runTask(task);
+        }
+      } catch (err) {
+        console.warn('Task Queue error:', err.message);
+      }
+      if (!task && !stopped) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, pollIntervalMs);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    }
+  })();
+
+  return async function stop() {
+    stopped = true;
+    if (wake) {
+      wake();
+    }
+    await loop;
+  };
+}
+
+module.exports = {
+  TASKS_TABLE,
+  TASK_STATUSES,
+  TaskLeaseError,
+  retryDelayMs,
+  enqueueTask,
+  claimTask,
+  heartbeatTask,
+  completeTask,
+  failTask,
+  getDeadTasks,
+  retryDeadTask,
+  startTaskWorker
+};
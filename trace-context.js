@@ -0,0 +1,228 @@
+/**
+ * Trace Context - W3C traceparent-style trace/span IDs for agent messages and MCP calls
+ * For JARVIS multi-agent system
+ *
+ * logAgentMessage() opens a span and makes it the current trace context for
+ * the rest of the async call chain (AsyncLocalStorage). logMCPToolCall() picks
+ * that context up automatically, so every tool call is recorded as a child of
+ * the message that caused it - no IDs have to be passed by hand.
+ *
+ * A context entered that way only applies to the agents of its message (sender
+ * and receiver): when one async flow logs for several agents, an unrelated
+ * agent's tool calls and messages start their own trace instead of nesting
+ * under the last message. New messages never take over the conversation ID.
+ * withMessageTrace() scopes a message's context explicitly; inside it, every
+ * record is a child of that message whatever agent logs it.
+ *
+ * Usage:
+ *   const { logAgentMessage } = require('./agent-logger');
+ *   const { withMessageTrace, getTrace } = require('./trace-context');
+ *
+ *   const sent = await logAgentMessage({ from, to, message });
+ *   await logMCPToolCall({ mcpServer: 'vault', requestingAgent: from, ... });   // child of the message span
+ *
+ *   await withMessageTrace(sent, () => handleDelegation());   // everything inside is a child
+ *
+ *   // Hand `traceparent` to the receiving agent, which continues the same trace:
+ *   await logAgentReceived({ from, to, message, traceparent });
+ *
+ *   const trace = await getTrace(traceId);   // { traceId, spans, roots: [ { children: [...] } ] }
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getStorage } = require('./storage');
+const { eq } = require('./storage/filters');
+
+const contextStorage = new AsyncLocalStorage();
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Parse a traceparent header ("00-<trace-id>-<span-id>-<flags>")
+ *
+ * @param {string} header - traceparent value
+ * @returns {object|null} { traceId, spanId, sampled } or null if invalid
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return {
+    traceId: match[1],
+    spanId: match[2],
+    sampled: (parseInt(match[3], 16) & 1) === 1
+  };
+}
+
+/**
+ * Format a span as a traceparent header
+ *
+ * @param {object} span - { traceId, spanId, sampled }
+ * @returns {string} traceparent value
+ */
+function formatTraceparent({ traceId, spanId, sampled = true }) {
+  return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Get the trace context of the current async call chain
+ *
+ * @returns {object|null} { traceId, spanId, conversationId, messageId }
+ */
+function getTraceContext() {
+  return contextStorage.getStore() || null;
+}
+
+/**
+ * Trace context a record logged by `agent` should inherit: the current
+ * context, unless logAgentMessage() entered it for a message between other agents
+ *
+ * @param {string} agent - Agent logging the record (optional)
+ * @returns {object|null} { traceId, spanId, conversationId, messageId }
+ */
+function inheritedTraceContext(agent = null) {
+  const context = getTraceContext();
+  if (!context || !context.agents || !agent) {
+    return context;
+  }
+  return context.agents.includes(agent) ? context : null;
+}
+
+/**
+ * Create a new span, child of the given traceparent or of the current context
+ *
+ * @param {object} options
+ * @param {string} options.traceparent - Parent from another process (optional)
+ * @param {object|null} options.parent - Parent context to use instead of the current one (null for a new trace)
+ * @returns {object} { traceId, spanId, parentSpanId }
+ */
+function createSpan({ traceparent = null, parent: parentContext } = {}) {
+  let parent = traceparent ? parseTraceparent(traceparent) : parentContext;
+  if (!traceparent && parentContext === undefined) {
+    parent = getTraceContext();
+  }
+
+  return {
+    traceId: parent ? parent.traceId : generateTraceId(),
+    spanId: generateSpanId(),
+    parentSpanId: parent ? parent.spanId : null
+  };
+}
+
+/**
+ * Make a message's context current for the remainder of the current async
+ * call chain, for records of its sender and receiver (see inheritedTraceContext)
+ *
+ * @param {object} context - { traceId, spanId, conversationId, messageId }
+ * @param {array} agents - The message's sender and receiver
+ */
+function enterTraceContext(context, agents) {
+  contextStorage.enterWith({ ...context, agents });
+}
+
+/**
+ * Run a function as part of a message: everything it logs is a child of the
+ * message, whatever agent logs it
+ *
+ * @param {object} message - Result of logAgentMessage() (or its `context`)
+ * @param {function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withMessageTrace(message, fn) {
+  return runWithTraceContext(message.context || message, fn);
+}
+
+/**
+ * Run a function inside a trace context
+ *
+ * @param {object|string} context - Context object or traceparent header
+ * @param {function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithTraceContext(context, fn) {
+  const resolved = typeof context === 'string' ? parseTraceparent(context) : context;
+  return contextStorage.run(resolved, fn);
+}
+
+function spanNode(kind, row) {
+  return {
+    kind,
+    spanId: row.span_id,
+    parentSpanId: row.parent_span_id || null,
+    timestamp: row.timestamp,
+    record: row,
+    children: []
+  };
+}
+
+/**
+ * Get every agent message and MCP tool call of a trace as a tree
+ *
+ * @param {string} traceId - Trace ID
+ * @returns {object} { traceId, spans, roots } - roots/children ordered by timestamp
+ */
+async function getTrace(traceId) {
+  const query = {
+    where: [eq('trace_id', traceId)],
+    orderBy: { column: 'timestamp', ascending: true }
+  };
+
+  try {
+    const [messages, calls] = await Promise.all([
+      getStorage().select('agent_communications', query),
+      getStorage().select('mcp_tool_calls', query)
+    ]);
+
+    const error = messages.error || calls.error;
+    if (error) {
+      console.error('Error getting trace:', error);
+      return null;
+    }
+
+    const nodes = [
+      ...messages.data.map(row => spanNode('message', row)),
+      ...calls.data.map(row => spanNode('tool_call', row))
+    ].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+    const bySpan = new Map(nodes.map(node => [node.spanId, node]));
+    const roots = [];
+
+    nodes.forEach(node => {
+      const parent = node.parentSpanId && bySpan.get(node.parentSpanId);
+      if (parent && parent !== node) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return { traceId, spans: nodes.length, roots };
+  } catch (err) {
+    console.error('Error getting trace:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  generateTraceId,
+  generateSpanId,
+  parseTraceparent,
+  formatTraceparent,
+  getTraceContext,
+  inheritedTraceContext,
+  createSpan,
+  enterTraceContext,
+  withMessageTrace,
+  runWithTraceContext,
+  getTrace
+};